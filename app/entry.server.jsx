@@ -4,9 +4,15 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startInventoryQueueWorker } from "./utils/inventoryQueue.server";
+import { startSyncScheduler } from "./utils/scheduler.server";
 
 export const streamTimeout = 5000;
 
+// Background work that has to keep going between requests
+startInventoryQueueWorker();
+startSyncScheduler();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
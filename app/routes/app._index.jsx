@@ -6,429 +6,161 @@ import {
   Banner,
   Spinner,
   List,
-  ProgressBar
+  ProgressBar,
+  Checkbox,
+  DataTable,
+  Select,
+  TextField
 } from "@shopify/polaris";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { authenticate } from "../shopify.server";
 import { json } from "@remix-run/node";
-import { useActionData, useSubmit, useNavigation, useFetcher } from "@remix-run/react";
-
-// Server-side state (only exists on the server)
-// Using a module-level variable that only exists in Node.js
-let serverState;
-if (typeof process !== "undefined" && process.versions && process.versions.node) {
-  if (!global.variantUpdateProgress) {
-    global.variantUpdateProgress = {
-      processedVariants: 0,
-      totalVariants: 0,
-      isProcessing: false,
-      currentBatch: 0,
-      errors: [],
-      completedAt: null,
-      summary: null
-    };
-  }
-
-  if (!global.backgroundProcessing) {
-    global.backgroundProcessing = {
-      isRunning: false
-    };
-  }
-
-  serverState = {
-    variantUpdateProgress: global.variantUpdateProgress,
-    backgroundProcessing: global.backgroundProcessing
-  };
-}
+import { useActionData, useSubmit, useNavigation, useLoaderData, useRevalidator } from "@remix-run/react";
+import { createGraphqlClient } from "../utils/graphqlClient.server";
+import { getDriftReport } from "../utils/drift.server";
+import { runSyncJob } from "../utils/sync.server";
+import {
+  findSyncJob,
+  getFailedVariantIds,
+  getLatestSyncJob,
+  getSyncJobProgress,
+  requestSyncJobControl,
+  resumeSyncJob,
+  startSyncJob
+} from "../utils/syncJobs.server";
+import { findPlanApplication, getPlanReport } from "../utils/syncPlan.server";
+import { parseSyncScope } from "../utils/syncScope.server";
+
+const SCOPE_OPTIONS = [
+  { label: "All variants", value: "all" },
+  { label: "Selected products", value: "products" },
+  { label: "A collection", value: "collection" },
+  { label: "Vendor", value: "vendor" },
+  { label: "Product tag", value: "tag" },
+  { label: "Search query", value: "query" }
+];
+
+const SCOPE_FIELD_LABELS = {
+  vendor: "Vendor",
+  tag: "Product tag",
+  query: "Search query"
+};
 
-// Loader for authentication
+// Loader for authentication; also returns the latest sync job so a reload
+// picks up a run that is still going on this or another app instance, the
+// drift it found when it was a reconcile run and its plan when it was a dry
+// run
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
-  return null;
+  const { session } = await authenticate.admin(request);
+  const job = await getLatestSyncJob(session.shop);
+
+  return json({
+    progress: await getSyncJobProgress(job),
+    drift: await getDriftReport(job),
+    plan: await getPlanReport(job)
+  });
 };
 
-// Helper for concurrency limit - server-side only
-async function parallelLimit(tasks, limit) {
-  const results = [];
-  let i = 0;
-  async function next() {
-    if (i >= tasks.length) return;
-    const idx = i++;
-    results[idx] = await tasks[idx]();
-    await next();
-  }
-  await Promise.all(Array(Math.min(limit, tasks.length)).fill(0).map(next));
-  return results;
-}
+// Optimized action for updating variant locations
+export const action = async ({ request }) => {
+  const { admin: adminContext, session } = await authenticate.admin(request);
+  const admin = createGraphqlClient(adminContext, session.shop);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
 
-// Function to process variants in the background - server-side only
-async function processVariantsInBackground(admin) {
-  if (serverState.backgroundProcessing.isRunning) {
-    console.log("Background processing already running, not starting a new one");
-    return;
-  }
+  // Pause and cancel are picked up by the running job between batches and
+  // between variants
+  if (intent === "pause" || intent === "cancel") {
+    const accepted = await requestSyncJobControl(session.shop, formData.get("jobId"), intent);
 
-  serverState.backgroundProcessing.isRunning = true;
+    return json({
+      success: accepted,
+      message: accepted
+        ? (intent === "pause" ? "Pausing the sync..." : "Cancelling the sync...")
+        : "This sync is no longer running."
+    });
+  }
 
   try {
-    let hasNextPage = true;
-    let cursor = null;
-    let processedVariants = 0;
-    let errors = [];
-    let batchCount = 0;
-    let totalVariants = 0;
-
-    // Initialize progress tracker
-    serverState.variantUpdateProgress = {
-      processedVariants: 0,
-      totalVariants: 0,
-      isProcessing: true,
-      currentBatch: 0,
-      errors: [],
-      startedAt: new Date().toISOString(),
-      completedAt: null,
-      summary: null
-    };
+    let job;
+    let alreadyRunning;
+    const dryRun = formData.get("dryRun") === "true";
+
+    if (intent === "resume") {
+      // Continue a stopped job from its last checkpoint
+      ({ job, alreadyRunning } = await resumeSyncJob(session.shop, formData.get("jobId")));
 
-    // Configuration
-    const BATCH_SIZE = 50; // Get 50 variants at a time
-    const CONCURRENCY_LIMIT = 5; // Process 5 variants in parallel
-    const DELAY_BETWEEN_BATCHES = 1000; // Larger delay between batches
-
-    // First, get an estimate of total variants
-    try {
-      const countQuery = `
-        query CountVariants {
-          productVariants(first: 1) {
-            pageInfo {
-              hasNextPage
-            }
-            edges {
-              cursor
-            }
-          }
-          shop {
-            productVariantsCount
-          }
-        }
-      `;
-
-      const countResponse = await admin.graphql(countQuery);
-      const countData = await countResponse.json();
-
-      if (countData.data?.shop?.productVariantsCount) {
-        totalVariants = countData.data.shop.productVariantsCount;
-        serverState.variantUpdateProgress.totalVariants = totalVariants;
-        console.log(`Estimated total variants: ${totalVariants}`);
+      if (!job) {
+        return json({ success: false, message: "This sync can no longer be resumed." });
       }
-    } catch (countError) {
-      console.error("Error estimating total variants:", countError);
-      // Continue anyway, we'll just not have a total count
-    }
+    } else if (intent === "retryFailed") {
+      // Start a new job that only covers the variants that failed before
+      const failedJob = await findSyncJob(session.shop, formData.get("jobId"));
+      const variantIds = failedJob ? await getFailedVariantIds(failedJob.id) : [];
 
-    while (hasNextPage) {
-      batchCount++;
-      serverState.variantUpdateProgress.currentBatch = batchCount;
-      console.log(`Fetching batch ${batchCount}...`);
-
-      try {
-        // Step 1: Get a batch of variants
-        const variantsQuery = `
-          query GetVariants($cursor: String) {
-            productVariants(first: ${BATCH_SIZE}, after: $cursor) {
-              pageInfo {
-                hasNextPage
-                endCursor
-              }
-              edges {
-                node {
-                  id
-                  inventoryItem {
-                    id
-                  }
-                }
-              }
-            }
-          }
-        `;
-
-        const variantsResponse = await admin.graphql(variantsQuery, { variables: { cursor } });
-        const variantsData = await variantsResponse.json();
-
-        if (variantsData.errors) {
-          throw new Error(variantsData.errors.map(e => e.message).join(', '));
-        }
-
-        const variants = variantsData.data.productVariants.edges.map(edge => edge.node);
-        console.log(`Fetched ${variants.length} variants in batch ${batchCount}`);
-
-        // Step 2: Process variants in parallel within the batch
-        const variantPromises = variants.map(variant => {
-          return async () => {
-            console.log(`Processing variant: ${variant.id}`);
-
-            try {
-              // Step 2a: Get inventory levels for this variant
-              console.log(`Fetching inventory levels for variant ${variant.id}...`);
-              const inventoryQuery = `
-                query InventoryLevels($inventoryItemId: ID!) {
-                  inventoryItem(id: $inventoryItemId) {
-                    inventoryLevels(first: 100) {
-                      edges {
-                        node {
-                          quantities(names: ["available"]) {
-                            quantity
-                          }
-                          location {
-                            id
-                            name
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-              `;
-
-              const inventoryResponse = await admin.graphql(inventoryQuery, {
-                variables: { inventoryItemId: variant.inventoryItem.id }
-              });
-              const inventoryData = await inventoryResponse.json();
-
-              if (inventoryData.errors) {
-                throw new Error(inventoryData.errors.map(e => e.message).join(', '));
-              }
-
-              console.log(`Successfully fetched inventory levels for variant ${variant.id}`);
-
-              // Step 2b: Format the inventory data
-              const now = new Date().toISOString();
-              const inventoryLevels = inventoryData.data.inventoryItem.inventoryLevels.edges.map(edge => {
-                const locationGid = edge.node.location.id;
-                const locationId = parseInt(locationGid.split('/').pop(), 10);
-
-                return {
-                  id: locationId,
-                  name: edge.node.location.name,
-                  available: edge.node.quantities[0]?.quantity || 0,
-                  updatedAt: now
-                };
-              });
-
-              console.log(`Formatted inventory data for variant ${variant.id} with ${inventoryLevels.length} locations`);
-
-              // Step 2c: Update metafield for this variant
-              console.log(`Updating metafield for variant ${variant.id}...`);
-              const mutation = `
-                mutation SetMetafields($metafields: [MetafieldsSetInput!]!) {
-                  metafieldsSet(metafields: $metafields) {
-                    metafields {
-                      id
-                    }
-                    userErrors {
-                      field
-                      message
-                    }
-                  }
-                }
-              `;
-
-              const metafieldResponse = await admin.graphql(mutation, {
-                variables: {
-                  metafields: [{
-                    namespace: "custom",
-                    key: "locations",
-                    ownerId: variant.id,
-                    type: "json",
-                    value: JSON.stringify({
-                      locations: inventoryLevels
-                    })
-                  }]
-                }
-              });
-
-              const metafieldData = await metafieldResponse.json();
-
-              if (metafieldData.errors) {
-                throw new Error(metafieldData.errors.map(e => e.message).join(', '));
-              }
-
-              if (metafieldData.data?.metafieldsSet?.userErrors?.length > 0) {
-                return {
-                  success: false,
-                  variantId: variant.id,
-                  errors: metafieldData.data.metafieldsSet.userErrors,
-                  type: 'userError'
-                };
-              } else {
-                console.log(`Successfully updated metafield for variant ${variant.id}`);
-                return { success: true, variantId: variant.id };
-              }
-            } catch (variantError) {
-              return {
-                success: false,
-                variantId: variant.id,
-                error: variantError.message,
-                type: 'apiError'
-              };
-            }
-          };
-        });
-
-        // Use the parallelLimit function to process variants with concurrency control
-        const results = await parallelLimit(variantPromises, CONCURRENCY_LIMIT);
-
-        // Process results
-        results.forEach(result => {
-          if (result) {
-            processedVariants++;
-            serverState.variantUpdateProgress.processedVariants = processedVariants;
-
-            if (!result.success) {
-              if (result.type === 'userError') {
-                const errorInfo = {
-                  variantId: result.variantId,
-                  errors: result.errors,
-                  type: 'userError'
-                };
-                errors.push(errorInfo);
-                serverState.variantUpdateProgress.errors.push(errorInfo);
-                console.warn(`User errors when updating metafield for variant ${result.variantId}:`,
-                  result.errors);
-              } else if (result.type === 'apiError') {
-                const errorInfo = {
-                  variantId: result.variantId,
-                  error: result.error,
-                  type: 'apiError'
-                };
-                errors.push(errorInfo);
-                serverState.variantUpdateProgress.errors.push(errorInfo);
-                console.error(`Error processing variant ${result.variantId}:`, result.error);
-              }
-            }
-          }
-        });
-
-        // Step 3: Update pagination for next batch
-        hasNextPage = variantsData.data.productVariants.pageInfo.hasNextPage;
-        cursor = variantsData.data.productVariants.pageInfo.endCursor;
-
-        // Wait before fetching the next batch
-        if (hasNextPage) {
-          console.log(`Waiting ${DELAY_BETWEEN_BATCHES}ms before fetching next batch...`);
-          await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_BATCHES));
-        }
-
-      } catch (batchError) {
-        const errorInfo = {
-          batch: batchCount,
-          error: batchError.message,
-          type: 'batchError'
-        };
-        errors.push(errorInfo);
-        serverState.variantUpdateProgress.errors.push(errorInfo);
-        console.error(`Error processing batch ${batchCount}:`, batchError);
-        hasNextPage = false; // Stop processing if batch fails
+      if (variantIds.length === 0) {
+        return json({ success: false, message: "There are no failed variants to retry." });
       }
-    }
 
-    // Mark processing as complete
-    serverState.variantUpdateProgress.isProcessing = false;
-    serverState.variantUpdateProgress.completedAt = new Date().toISOString();
-    serverState.variantUpdateProgress.summary = {
-      success: true,
-      processedVariants,
-      totalVariants,
-      batchCount,
-      message: `Processed ${processedVariants} variants across ${batchCount} batches`
-    };
+      ({ job, alreadyRunning } = await startSyncJob(session.shop, {
+        mode: "retry",
+        parentJobId: failedJob.id
+      }));
+    } else if (intent === "applyPlan") {
+      // Write the plan of a finished dry run, once
+      const planJob = await findSyncJob(session.shop, formData.get("jobId"));
+      const application = planJob && await findPlanApplication(session.shop, planJob.id);
+
+      if (!planJob || planJob.status !== "completed" || (application && application.status !== "cancelled")) {
+        return json({ success: false, message: "This plan can no longer be applied." });
+      }
 
-    console.log("Background processing completed successfully");
-    return { success: true, processedVariants, totalVariants, batchCount, errors };
-  } catch (error) {
-    console.error("Background processing failed:", error);
+      ({ job, alreadyRunning } = await startSyncJob(session.shop, {
+        mode: "apply",
+        parentJobId: planJob.id
+      }));
+    } else if (intent === "reconcile") {
+      // Compare stored values with live inventory, optionally fixing them or
+      // planning the fixes
+      ({ job, alreadyRunning } = await startSyncJob(session.shop, {
+        mode: "reconcile",
+        options: JSON.stringify({ repair: formData.get("repair") === "true", dryRun })
+      }));
+    } else {
+      const { scope, error } = parseSyncScope(formData.get("scope"));
+
+      if (error) {
+        return json({ success: false, message: error });
+      }
 
-    // Mark processing as complete even on error
-    if (serverState.variantUpdateProgress) {
-      serverState.variantUpdateProgress.isProcessing = false;
-      serverState.variantUpdateProgress.completedAt = new Date().toISOString();
-      serverState.variantUpdateProgress.summary = {
-        success: false,
-        error: error.message,
-        message: 'Failed to complete processing'
-      };
+      // For starting the process: a full sync reads one bulk operation
+      // snapshot instead of querying every variant. A scoped sync pages
+      // through the variants its search query matches instead.
+      // A dry run plans the writes without making them.
+      ({ job, alreadyRunning } = await startSyncJob(session.shop, scope
+        ? { mode: "full", options: JSON.stringify({ scope, dryRun }) }
+        : { mode: "bulk", options: JSON.stringify({ dryRun }) }));
     }
 
-    return { success: false, error: error.message };
-  } finally {
-    serverState.backgroundProcessing.isRunning = false;
-  }
-}
-
-// Optimized action for updating variant locations
-export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-  const formData = await request.formData();
-  const intent = formData.get("intent");
-
-  // For progress updates
-  if (intent === "getProgress") {
-    const progressData = serverState.variantUpdateProgress || {
-      processedVariants: 0,
-      totalVariants: 0,
-      isProcessing: false,
-      currentBatch: 0,
-      errors: []
-    };
-
-    // If processing is complete and we have a summary, include it
-    if (!progressData.isProcessing && progressData.completedAt && !progressData.summaryReturned) {
-      progressData.summaryReturned = true;
+    if (alreadyRunning) {
       return json({
-        ...progressData,
-        actionCompleted: true,
-        ...progressData.summary
+        success: false,
+        message: "Process already running. Please wait for it to complete."
       });
     }
 
-    return json(progressData);
-  }
-
-  // For starting the process
-  if (serverState.backgroundProcessing.isRunning) {
-    return json({
-      success: false,
-      message: "Process already running. Please wait for it to complete."
-    });
-  }
-
-  try {
-    // Initialize progress tracker
-    serverState.variantUpdateProgress = {
-      processedVariants: 0,
-      totalVariants: 0,
-      isProcessing: true,
-      currentBatch: 0,
-      errors: [],
-      startedAt: new Date().toISOString()
-    };
-
-    // Start the background processing - IMPORTANT: Actually execute it!
-    // Don't just store the promise, but actually start the process
-    processVariantsInBackground(admin).catch(error => {
+    // Start the background processing and return immediately to prevent
+    // browser timeout. The job row tracks progress from here on.
+    runSyncJob(admin, job).catch(error => {
       console.error("Unhandled error in background processing:", error);
-      if (serverState.variantUpdateProgress) {
-        serverState.variantUpdateProgress.isProcessing = false;
-        serverState.variantUpdateProgress.error = error.message;
-      }
     });
 
-    // Return immediately to prevent browser timeout
     return json({
       success: true,
       message: "Processing started. You can track progress on this page.",
-      isProcessing: true
+      isProcessing: true,
+      jobId: job.id
     });
   } catch (error) {
     return json({
@@ -441,74 +173,102 @@ export const action = async ({ request }) => {
 
 
 export default function Index() {
+  const loaderData = useLoaderData();
   const submit = useSubmit();
   const actionData = useActionData();
   const navigation = useNavigation();
   const isLoading = navigation.state === "submitting";
   const [showDetails, setShowDetails] = useState(false);
-  const [progress, setProgress] = useState({
-    processedVariants: 0,
-    totalVariants: 0,
-    isProcessing: false,
-    currentBatch: 0,
-    errors: []
-  });
-
-  // Use fetcher to poll for progress updates
-  const progressFetcher = useFetcher();
-
-  // Set up polling for progress updates
+  const [repairDrift, setRepairDrift] = useState(false);
+  const [dryRun, setDryRun] = useState(false);
+  const [scopeType, setScopeType] = useState("all");
+  const [scopeValue, setScopeValue] = useState("");
+  const [pickedProducts, setPickedProducts] = useState([]);
+  const [pickedCollection, setPickedCollection] = useState(null);
+  const [progress, setProgress] = useState(loaderData.progress);
+
+  const revalidator = useRevalidator();
+  const [lastBatch, setLastBatch] = useState(null);
+  const [liveErrors, setLiveErrors] = useState([]);
+
+  // Follow the shop's latest job over Server-Sent Events (see
+  // app.sync-progress.jsx). Session tokens expire after a minute, so every
+  // connect asks App Bridge for a fresh one; the server ends each stream
+  // after a while and the page connects again.
   useEffect(() => {
-    let interval;
+    let source;
+    let retryTimer;
+    let stopped = false;
+
+    const connect = async () => {
+      const params = new URLSearchParams({
+        shop: shopify.config.shop,
+        host: shopify.config.host,
+        embedded: "1",
+        id_token: await shopify.idToken()
+      });
+      if (stopped) return;
 
-    if (isLoading || progress.isProcessing) {
-      interval = setInterval(() => {
-        progressFetcher.submit({ intent: "getProgress" }, { method: "post" });
-      }, 1000);
-    }
+      source = new EventSource(`/app/sync-progress?${params}`);
+      source.addEventListener("progress", (event) => {
+        setProgress(JSON.parse(event.data));
+      });
+      source.addEventListener("batch", (event) => {
+        setLastBatch(JSON.parse(event.data));
+      });
+      source.addEventListener("job-error", (event) => {
+        const error = JSON.parse(event.data);
+        setLiveErrors(prev => [...prev.filter(e => e.jobId === error.jobId), error].slice(-5));
+      });
+      source.onerror = () => {
+        source.close();
+        if (!stopped) retryTimer = setTimeout(connect, 3000);
+      };
+    };
+
+    connect().catch(error => console.error("Could not connect to the progress stream:", error));
 
     return () => {
-      if (interval) clearInterval(interval);
+      stopped = true;
+      source?.close();
+      clearTimeout(retryTimer);
     };
-  }, [isLoading, progress.isProcessing, progressFetcher]);
+  }, []);
 
-  // Update progress when fetcher returns data
+  // Reload the page data (e.g. the drift report) once a run has finished. The
+  // ref keeps a new revalidator from reloading again.
+  const wasProcessing = useRef(progress.isProcessing);
   useEffect(() => {
-    if (progressFetcher.data) {
-      setProgress(progressFetcher.data);
-
-      // If we received a completed action summary through the progress fetcher
-      if (progressFetcher.data.actionCompleted) {
-        // We can treat this like an actionData response
-        // This handles the case where the browser timed out but processing completed
-      }
+    if (wasProcessing.current && !progress.isProcessing) {
+      revalidator.revalidate();
     }
-  }, [progressFetcher.data]);
+    wasProcessing.current = progress.isProcessing;
+  }, [progress.isProcessing, revalidator]);
 
-  // Update progress when action completes
+  // Update progress when action completes. The stream may already have sent
+  // the new job, in which case its counts are kept.
   useEffect(() => {
-    if (actionData) {
-      if (actionData.isProcessing) {
-        // Initial response when process starts
-        setProgress(prev => ({
-          ...prev,
-          isProcessing: true,
-          processedVariants: 0,
-          totalVariants: 0,
-          currentBatch: 0
-        }));
-      } else if (!isLoading) {
-        // Final response when process completes (if browser didn't time out)
-        setProgress({
-          processedVariants: actionData.processedVariants || 0,
-          totalVariants: actionData.totalVariants || 0,
-          isProcessing: false,
-          currentBatch: actionData.batchCount || 0,
-          errors: actionData.errors || []
-        });
-      }
+    if (actionData?.isProcessing) {
+      setProgress(prev => prev.jobId === actionData.jobId ? prev : {
+        ...prev,
+        isProcessing: true,
+        processedVariants: 0,
+        totalVariants: 0,
+        currentBatch: 0
+      });
     }
-  }, [actionData, isLoading]);
+  }, [actionData]);
+
+  // The scope sent with a sync; null syncs every variant
+  const scope = {
+    all: null,
+    products: { type: "products", products: pickedProducts },
+    collection: { type: "collection", collection: pickedCollection }
+  }[scopeType] ?? { type: scopeType, value: scopeValue };
+  const scopeReady = !scope
+    || (scopeType === "products" ? pickedProducts.length > 0
+      : scopeType === "collection" ? Boolean(pickedCollection)
+        : scopeValue.trim() !== "");
 
   const handleUpdate = () => {
     setShowDetails(false);
@@ -517,9 +277,62 @@ export default function Index() {
       totalVariants: 0,
       isProcessing: true,
       currentBatch: 0,
-      errors: []
+      errors: [],
+      errorCounts: {}
     });
-    submit({}, { method: "POST" });
+    submit({
+      dryRun: String(dryRun),
+      ...(scope ? { scope: JSON.stringify(scope) } : {})
+    }, { method: "POST" });
+  };
+
+  // Products and collections are picked with the App Bridge resource picker
+  const pickProducts = async () => {
+    const selected = await shopify.resourcePicker({
+      type: "product",
+      multiple: true,
+      selectionIds: pickedProducts.map(product => ({ id: product.id }))
+    });
+    if (selected) {
+      setPickedProducts(selected.map(product => ({ id: product.id, title: product.title })));
+    }
+  };
+
+  const pickCollection = async () => {
+    const selected = await shopify.resourcePicker({
+      type: "collection",
+      selectionIds: pickedCollection ? [{ id: pickedCollection.id }] : []
+    });
+    if (selected?.length) {
+      setPickedCollection({ id: selected[0].id, title: selected[0].title });
+    }
+  };
+
+  const handleReconcile = () => {
+    setShowDetails(false);
+    setProgress({
+      processedVariants: 0,
+      totalVariants: 0,
+      isProcessing: true,
+      currentBatch: 0,
+      errors: [],
+      errorCounts: {}
+    });
+    submit({ intent: "reconcile", repair: String(repairDrift), dryRun: String(dryRun) }, { method: "POST" });
+  };
+
+  // Pause and cancel leave the progress as it is; the progress stream sends
+  // the stopped job
+  const handleControl = (intent) => {
+    submit({ intent, jobId: progress.jobId }, { method: "POST" });
+  };
+
+  // Resume and retry keep the counts of the stopped job until the progress
+  // stream sends the running one
+  const handleJobAction = (intent) => {
+    setShowDetails(false);
+    setProgress(prev => ({ ...prev, isProcessing: true }));
+    submit({ intent, jobId: progress.jobId }, { method: "POST" });
   };
 
   // Get errors from either actionData or progress data
@@ -528,19 +341,40 @@ export default function Index() {
   const apiErrors = errors.filter(e => e.type === 'apiError') || [];
   const batchErrors = errors.filter(e => e.type === 'batchError') || [];
 
+  // Batch and errors streamed for the job that is running now
+  const currentBatch = lastBatch?.jobId === progress.jobId ? lastBatch : null;
+  const currentErrors = liveErrors.filter(error => error.jobId === progress.jobId);
+
   const progressPercentage = progress.totalVariants > 0
     ? Math.min(100, Math.round((progress.processedVariants / progress.totalVariants) * 100))
     : 0;
 
   // Determine what message to show based on combined state
+  const controlMessages = { pause: "Pausing after the current step...", cancel: "Cancelling after the current step..." };
   const statusMessage = progress.isProcessing
-    ? "Processing... Please wait"
+    ? (controlMessages[progress.controlRequested] || progress.message || "Processing... Please wait")
     : (actionData?.message || progress.message || "Ready to process");
 
   // Determine if we have a completed result to show
-  const showResult = !progress.isProcessing && (actionData?.success !== undefined || progressFetcher.data?.actionCompleted);
-  const resultSuccess = actionData?.success || progressFetcher.data?.success;
-  const resultMessage = actionData?.message || progressFetcher.data?.message || "Operation completed";
+  const showResult = !progress.isProcessing && (actionData?.success !== undefined || progress.actionCompleted);
+  const resultSuccess = progress.actionCompleted ? progress.success : actionData?.success;
+  const resultMessage = (progress.actionCompleted ? progress.message : actionData?.message) || "Operation completed";
+  const stoppedTitles = { paused: "Paused", cancelled: "Cancelled" };
+  const resultStopped = progress.actionCompleted && stoppedTitles[progress.status];
+  const errorCounts = progress.errorCounts || {};
+  const apiErrorCount = errorCounts.apiError ?? apiErrors.length;
+  const userErrorCount = errorCounts.userError ?? userErrors.length;
+  const drift = loaderData.drift;
+  const plan = loaderData.plan;
+
+  const formatQuantity = (value) => value === null ? "Not listed" : value;
+  const driftRows = (drift?.entries || []).map(entry => [
+    entry.variantId.split('/').pop(),
+    entry.locationName || entry.locationId,
+    formatQuantity(entry.storedAvailable),
+    formatQuantity(entry.actualAvailable),
+    entry.repaired ? "Yes" : "No"
+  ]);
 
   return (
     <Page>
@@ -550,22 +384,117 @@ export default function Index() {
             Update Variant Locations
           </Text>
           <Text as="p">
-            This will update inventory location data for all product variants.
+            This will update inventory location data for all product variants,
+            or only for the part of the catalog you choose.
           </Text>
 
+          <Select
+            label="Variants to update"
+            options={SCOPE_OPTIONS}
+            value={scopeType}
+            onChange={setScopeType}
+            disabled={progress.isProcessing}
+          />
+
+          {scopeType === "products" && (
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <Button onClick={pickProducts} disabled={progress.isProcessing}>
+                {pickedProducts.length > 0 ? "Change products" : "Select products"}
+              </Button>
+              <Text as="span" tone="subdued">
+                {pickedProducts.length > 0
+                  ? pickedProducts.map(product => product.title).join(", ")
+                  : "No products selected"}
+              </Text>
+            </div>
+          )}
+
+          {scopeType === "collection" && (
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <Button onClick={pickCollection} disabled={progress.isProcessing}>
+                {pickedCollection ? "Change collection" : "Select collection"}
+              </Button>
+              <Text as="span" tone="subdued">
+                {pickedCollection ? pickedCollection.title : "No collection selected"}
+              </Text>
+            </div>
+          )}
+
+          {SCOPE_FIELD_LABELS[scopeType] && (
+            <TextField
+              label={SCOPE_FIELD_LABELS[scopeType]}
+              value={scopeValue}
+              onChange={setScopeValue}
+              helpText={scopeType === "query"
+                ? "Uses the product variant search syntax, for example sku:ABC* or product_type:Shoes"
+                : undefined}
+              autoComplete="off"
+              disabled={progress.isProcessing}
+            />
+          )}
+
+          <Checkbox
+            label="Dry run"
+            helpText="Plan the changes without writing them, so you can review them first. Also applies to the drift check."
+            checked={dryRun}
+            onChange={setDryRun}
+            disabled={isLoading || progress.isProcessing}
+          />
+
           <Button
             primary
             loading={isLoading}
             onClick={handleUpdate}
-            disabled={isLoading || progress.isProcessing}
+            disabled={isLoading || progress.isProcessing || !scopeReady}
           >
             Update Variant Locations
           </Button>
 
+          {progress.isProcessing && progress.jobId && (
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <Button
+                onClick={() => handleControl("pause")}
+                disabled={isLoading || Boolean(progress.controlRequested)}
+              >
+                Pause
+              </Button>
+              <Button
+                tone="critical"
+                onClick={() => handleControl("cancel")}
+                disabled={isLoading || Boolean(progress.controlRequested)}
+              >
+                Cancel
+              </Button>
+            </div>
+          )}
+
+          {!progress.isProcessing && !isLoading && (progress.canResume || progress.failedVariantCount > 0) && (
+            <div style={{ display: 'flex', gap: '8px' }}>
+              {progress.canResume && (
+                <Button onClick={() => handleJobAction("resume")}>
+                  Resume from batch {progress.currentBatch + 1}
+                </Button>
+              )}
+              {progress.isPaused && (
+                <Button tone="critical" onClick={() => handleControl("cancel")}>
+                  Cancel
+                </Button>
+              )}
+              {progress.failedVariantCount > 0 && (
+                <Button onClick={() => handleJobAction("retryFailed")}>
+                  Retry failed variants only ({progress.failedVariantCount})
+                </Button>
+              )}
+            </div>
+          )}
+
           {(isLoading || progress.isProcessing) && (
             <div style={{ display: 'flex', flexDirection: 'column', gap: '16px', alignItems: 'center' }}>
               <Spinner />
               <Text as="p">{statusMessage}</Text>
+              {progress.scope && (
+                <Text as="p" tone="subdued">Scope: {progress.scope}</Text>
+              )}
 
               <div style={{ width: '100%' }}>
                 <div style={{ marginBottom: '8px', display: 'flex', justifyContent: 'space-between' }}>
@@ -580,16 +509,67 @@ export default function Index() {
                 )}
 
                 <div style={{ marginTop: '8px' }}>
-                  <Text as="span">Current batch: {progress.currentBatch}</Text>
+                  <Text as="span">
+                    Current batch: {currentBatch ? currentBatch.batch : progress.currentBatch}
+                  </Text>
                 </div>
+
+                {progress.outcomes && ["full", "bulk", "retry", "apply"].includes(progress.mode) && progress.processedVariants > 0 && (
+                  <div style={{ marginTop: '8px' }}>
+                    <Text as="span" tone="subdued">
+                      {progress.outcomes.written} updated, {progress.outcomes.created} created,{' '}
+                      {progress.outcomes.skipped} unchanged
+                    </Text>
+                  </div>
+                )}
+
+                {currentErrors.length > 0 && (
+                  <div style={{ marginTop: '8px' }}>
+                    <Text as="span" tone="critical">Latest errors:</Text>
+                    <List type="bullet">
+                      {currentErrors.map(error => (
+                        <List.Item key={error.id}>
+                          {error.variantId ? `Variant ${error.variantId}` : `Batch ${error.batch}`}:{' '}
+                          {error.error || error.errors?.map(e => e.message).join(', ')}
+                        </List.Item>
+                      ))}
+                    </List>
+                  </div>
+                )}
               </div>
             </div>
           )}
 
+          {plan && !progress.isProcessing && (
+            <Banner status="info" title="Dry run plan">
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                <Text as="p">
+                  {plan.total > 0
+                    ? `${plan.update} variants would be updated and ${plan.create} created.`
+                    : "Nothing would change."}
+                </Text>
+                {plan.total > 0 && (
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    <Button url={`/app/plan/${plan.jobId}`}>Review changes</Button>
+                    {plan.canApply && (
+                      <Button
+                        primary
+                        loading={isLoading}
+                        onClick={() => handleJobAction("applyPlan")}
+                      >
+                        Apply
+                      </Button>
+                    )}
+                  </div>
+                )}
+              </div>
+            </Banner>
+          )}
+
           {showResult && (
             <Banner
-              status={resultSuccess ? "success" : "critical"}
-              title={resultSuccess ? "Success" : "Error"}
+              status={resultStopped ? "warning" : resultSuccess ? "success" : "critical"}
+              title={resultStopped || (resultSuccess ? "Success" : "Error")}
             >
               <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
                 <Text as="p">{resultMessage}</Text>
@@ -625,9 +605,9 @@ export default function Index() {
                                     Variant {error.variantId}: {error.error}
                                   </List.Item>
                                 ))}
-                                {apiErrors.length > 5 && (
+                                {apiErrorCount > 5 && (
                                   <List.Item>
-                                    ...and {apiErrors.length - 5} more errors
+                                    ...and {apiErrorCount - 5} more errors
                                   </List.Item>
                                 )}
                               </List>
@@ -643,9 +623,9 @@ export default function Index() {
                                     Variant {error.variantId}: {error.errors.map(e => e.message).join(', ')}
                                   </List.Item>
                                 ))}
-                                {userErrors.length > 5 && (
+                                {userErrorCount > 5 && (
                                   <List.Item>
-                                    ...and {userErrors.length - 5} more errors
+                                    ...and {userErrorCount - 5} more errors
                                   </List.Item>
                                 )}
                               </List>
@@ -661,6 +641,55 @@ export default function Index() {
           )}
         </div>
       </Card>
+
+      <div style={{ marginTop: '16px' }}>
+        <Card sectioned>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+            <Text variant="headingMd" as="h2">
+              Check for Drift
+            </Text>
+            <Text as="p">
+              Compares the stored location data of every variant with its live
+              inventory levels and lists the differences.
+            </Text>
+
+            <Checkbox
+              label="Repair variants that are out of sync"
+              checked={repairDrift}
+              onChange={setRepairDrift}
+              disabled={isLoading || progress.isProcessing}
+            />
+
+            <div>
+              <Button
+                onClick={handleReconcile}
+                disabled={isLoading || progress.isProcessing}
+              >
+                Check for Drift
+              </Button>
+            </div>
+
+            {drift && !progress.isProcessing && (
+              drift.total > 0 ? (
+                <>
+                  <Text as="p">
+                    {drift.variantCount} variants differ at {drift.total} locations
+                    {drift.repair && `; ${drift.repairedVariantCount} variants repaired`}
+                    {drift.total > drift.entries.length && ` (showing the first ${drift.entries.length})`}
+                  </Text>
+                  <DataTable
+                    columnContentTypes={['text', 'text', 'numeric', 'numeric', 'text']}
+                    headings={['Variant', 'Location', 'Stored', 'Actual', 'Repaired']}
+                    rows={driftRows}
+                  />
+                </>
+              ) : (
+                <Text as="p">No drift found in the last check.</Text>
+              )
+            )}
+          </div>
+        </Card>
+      </div>
     </Page>
   );
 }
@@ -0,0 +1,452 @@
+import { useState } from "react";
+import { json } from "@remix-run/node";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  DataTable,
+  InlineStack,
+  Layout,
+  Page,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  ALERT_CHANNEL_FREQUENCIES,
+  ALERT_CHANNEL_TYPES,
+  createAlertChannel,
+  deleteAlertChannel,
+  listAlertChannels,
+  sendTestAlert,
+} from "../utils/alertChannels.server";
+import { getSnapshotLocations } from "../utils/inventorySnapshot.server";
+import {
+  ALERT_RULE_SCOPES,
+  createAlertRule,
+  deleteAlertRule,
+  getRuleVariantNames,
+  listAlertRules,
+  listStockAlerts,
+} from "../utils/stockAlerts.server";
+import { checkWebhookTarget } from "../utils/webhookTargets.server";
+
+const SCOPE_OPTIONS = [
+  { label: "Every variant", value: "location" },
+  { label: "Products with a tag", value: "tag" },
+  { label: "One variant", value: "variant" },
+];
+
+const CHANNEL_TYPE_OPTIONS = [
+  { label: "Email", value: "email" },
+  { label: "Webhook", value: "webhook" },
+];
+
+const FREQUENCY_OPTIONS = [
+  { label: "As they happen", value: "instant" },
+  { label: "Daily digest", value: "digest" },
+];
+
+const KIND_BADGES = {
+  low: { label: "Low stock", tone: "warning" },
+  out: { label: "Out of stock", tone: "critical" },
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [rules, channels, alerts, locations] = await Promise.all([
+    listAlertRules(session.shop),
+    listAlertChannels(session.shop),
+    listStockAlerts(session.shop),
+    getSnapshotLocations(session.shop),
+  ]);
+
+  return json({
+    rules,
+    // Webhook secrets never go back to the browser
+    channels: channels.map(({ secret, ...channel }) => ({ ...channel, signed: Boolean(secret) })),
+    alerts,
+    locations: [...locations.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((location) => ({ id: location.id, name: location.name })),
+    variantNames: await getRuleVariantNames(session.shop, rules),
+  });
+};
+
+// Reads and checks a new rule
+function parseRuleForm(formData) {
+  const errors = {};
+  const scope = String(formData.get("scope") || "");
+  const value = String(formData.get("value") || "").trim();
+  const threshold = parseInt(formData.get("threshold"), 10);
+
+  if (!ALERT_RULE_SCOPES.includes(scope)) {
+    errors.scope = "Choose what the rule applies to.";
+  }
+  if (scope === "tag" && !value) {
+    errors.value = "Enter a product tag.";
+  }
+  if (scope === "variant" && !value.startsWith("gid://shopify/ProductVariant/")) {
+    errors.value = "Pick a variant.";
+  }
+  if (!(threshold >= 0)) {
+    errors.threshold = "Enter a number of 0 or more.";
+  }
+
+  return {
+    errors,
+    rule: { scope, value, locationId: String(formData.get("locationId") || ""), threshold },
+  };
+}
+
+// Reads and checks a new channel. Email channels take one address or a
+// comma separated list; webhook URLs must point to a public host.
+async function parseChannelForm(formData) {
+  const errors = {};
+  const type = String(formData.get("type") || "");
+  const target = String(formData.get("target") || "").trim();
+  const frequency = String(formData.get("frequency") || "");
+
+  if (!ALERT_CHANNEL_TYPES.includes(type)) {
+    errors.type = "Choose how alerts are sent.";
+  }
+  if (type === "email" && !target.split(",").every((address) => /^[^\s@]+@[^\s@]+$/.test(address.trim()))) {
+    errors.target = "Enter one or more email addresses, separated by commas.";
+  }
+  if (type === "webhook") {
+    const problem = await checkWebhookTarget(target);
+    if (problem) errors.target = problem;
+  }
+  if (!ALERT_CHANNEL_FREQUENCIES.includes(frequency)) {
+    errors.frequency = "Choose when alerts are sent.";
+  }
+
+  return {
+    errors,
+    channel: { type, target, frequency, secret: String(formData.get("secret") || "").trim() },
+  };
+}
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "createRule") {
+    const { errors, rule } = parseRuleForm(formData);
+    if (Object.keys(errors).length > 0) {
+      return json({ success: false, intent, errors }, { status: 422 });
+    }
+
+    await createAlertRule(session.shop, rule);
+    return json({ success: true, intent, message: "Alert rule added. It applies from the next stock change." });
+  }
+
+  if (intent === "deleteRule") {
+    await deleteAlertRule(session.shop, parseInt(formData.get("ruleId"), 10));
+    return json({ success: true, intent, message: "Alert rule deleted." });
+  }
+
+  if (intent === "createChannel") {
+    const { errors, channel } = await parseChannelForm(formData);
+    if (Object.keys(errors).length > 0) {
+      return json({ success: false, intent, errors }, { status: 422 });
+    }
+
+    await createAlertChannel(session.shop, channel);
+    return json({ success: true, intent, message: "Alert channel added." });
+  }
+
+  if (intent === "deleteChannel") {
+    await deleteAlertChannel(session.shop, parseInt(formData.get("channelId"), 10));
+    return json({ success: true, intent, message: "Alert channel deleted." });
+  }
+
+  if (intent === "testChannel") {
+    const { sent, error } = await sendTestAlert(session.shop, parseInt(formData.get("channelId"), 10));
+    return json({
+      success: sent,
+      intent,
+      message: sent ? "Test alert sent." : `The test alert could not be sent: ${error}`,
+    });
+  }
+
+  return json({ success: false, message: "Unknown action" }, { status: 400 });
+};
+
+export default function Alerts() {
+  const { rules, channels, alerts, locations, variantNames } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const busyIntent = navigation.state === "submitting" ? navigation.formData?.get("intent") : null;
+  const errors = actionData?.errors || {};
+
+  const [rule, setRule] = useState({ scope: "location", value: "", variantName: "", locationId: "", threshold: "5" });
+  const [channel, setChannel] = useState({ type: "email", target: "", secret: "", frequency: "instant" });
+
+  const locationNames = Object.fromEntries(locations.map((location) => [location.id, location.name]));
+  const locationOptions = [
+    { label: "Every location", value: "" },
+    ...locations.map((location) => ({ label: location.name, value: location.id })),
+  ];
+
+  const setRuleField = (field) => (value) => setRule((prev) => ({ ...prev, [field]: value }));
+  const setChannelField = (field) => (value) => setChannel((prev) => ({ ...prev, [field]: value }));
+
+  // Variants are picked with the App Bridge resource picker
+  const pickVariant = async () => {
+    const selected = await shopify.resourcePicker({ type: "variant" });
+    if (selected?.length) {
+      const [variant] = selected;
+      setRule((prev) => ({
+        ...prev,
+        value: variant.id,
+        variantName: variant.displayName || variant.title,
+      }));
+    }
+  };
+
+  const addRule = () => {
+    submit(
+      {
+        intent: "createRule",
+        scope: rule.scope,
+        value: rule.scope === "location" ? "" : rule.value,
+        locationId: rule.locationId,
+        threshold: rule.threshold,
+      },
+      { method: "post" }
+    );
+  };
+
+  const addChannel = () => {
+    submit({ intent: "createChannel", ...channel }, { method: "post" });
+  };
+
+  const ruleTarget = (item) => {
+    if (item.scope === "tag") return `Products tagged "${item.value}"`;
+    if (item.scope === "variant") return variantNames[item.value] || `Variant ${item.value.split("/").pop()}`;
+    return "Every variant";
+  };
+
+  const ruleRows = rules.map((item) => [
+    ruleTarget(item),
+    item.locationId ? locationNames[item.locationId] || `Location ${item.locationId}` : "Every location",
+    item.threshold,
+    <Button
+      key="delete"
+      variant="plain"
+      tone="critical"
+      onClick={() => submit({ intent: "deleteRule", ruleId: String(item.id) }, { method: "post" })}
+    >
+      Delete
+    </Button>,
+  ]);
+
+  const channelRows = channels.map((item) => [
+    item.type === "email" ? "Email" : `Webhook${item.signed ? " (signed)" : ""}`,
+    item.target,
+    item.frequency === "digest" ? "Daily digest" : "As they happen",
+    item.lastError
+      ? <Badge key="status" tone="critical">{`Failed: ${item.lastError}`}</Badge>
+      : item.lastSentAt ? `Sent ${new Date(item.lastSentAt).toLocaleString()}` : "Nothing sent yet",
+    <InlineStack key="actions" gap="200">
+      <Button
+        variant="plain"
+        onClick={() => submit({ intent: "testChannel", channelId: String(item.id) }, { method: "post" })}
+      >
+        Send test
+      </Button>
+      <Button
+        variant="plain"
+        tone="critical"
+        onClick={() => submit({ intent: "deleteChannel", channelId: String(item.id) }, { method: "post" })}
+      >
+        Delete
+      </Button>
+    </InlineStack>,
+  ]);
+
+  const alertRows = alerts.map((alert) => [
+    new Date(alert.createdAt).toLocaleString(),
+    [alert.productTitle || alert.variantId, alert.variantTitle !== "Default Title" && alert.variantTitle]
+      .filter(Boolean)
+      .join(" – "),
+    alert.locationName,
+    <Badge key="kind" tone={KIND_BADGES[alert.kind].tone}>{KIND_BADGES[alert.kind].label}</Badge>,
+    `${alert.available} (alert at ${alert.threshold})`,
+    alert.status === "open" ? "Open" : `Resolved ${new Date(alert.resolvedAt).toLocaleString()}`,
+  ]);
+
+  return (
+    <Page>
+      <TitleBar title="Stock alerts" />
+      <Layout>
+        {actionData?.message && (
+          <Layout.Section>
+            <Banner tone={actionData.success ? "success" : "warning"}>
+              <Text as="p">{actionData.message}</Text>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Rules
+                </Text>
+                <Text as="p" tone="subdued">
+                  A level alerts when it drops to its threshold and again when it runs out. It can
+                  alert again once it is back above the threshold. A rule for one variant comes
+                  before a tag rule, which comes before a rule for every variant.
+                </Text>
+                {ruleRows.length > 0 && (
+                  <DataTable
+                    columnContentTypes={["text", "text", "numeric", "text"]}
+                    headings={["Applies to", "Location", "Alert at or below", ""]}
+                    rows={ruleRows}
+                  />
+                )}
+                <InlineStack gap="300" blockAlign="end">
+                  <Select
+                    label="Applies to"
+                    options={SCOPE_OPTIONS}
+                    value={rule.scope}
+                    onChange={setRuleField("scope")}
+                    error={errors.scope}
+                  />
+                  {rule.scope === "tag" && (
+                    <TextField
+                      label="Product tag"
+                      value={rule.value}
+                      onChange={setRuleField("value")}
+                      error={errors.value}
+                      autoComplete="off"
+                    />
+                  )}
+                  {rule.scope === "variant" && (
+                    <BlockStack gap="100">
+                      <Button onClick={pickVariant}>
+                        {rule.variantName || "Pick a variant"}
+                      </Button>
+                      {errors.value && (
+                        <Text as="p" tone="critical">
+                          {errors.value}
+                        </Text>
+                      )}
+                    </BlockStack>
+                  )}
+                  <Select
+                    label="Location"
+                    options={locationOptions}
+                    value={rule.locationId}
+                    onChange={setRuleField("locationId")}
+                  />
+                  <TextField
+                    label="Alert at or below"
+                    type="number"
+                    min={0}
+                    value={rule.threshold}
+                    onChange={setRuleField("threshold")}
+                    error={errors.threshold}
+                    autoComplete="off"
+                  />
+                  <Button loading={busyIntent === "createRule"} onClick={addRule}>
+                    Add rule
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Channels
+                </Text>
+                <Text as="p" tone="subdued">
+                  Where alerts are sent. A daily digest lists the alerts of the past day in one
+                  message.
+                </Text>
+                {channelRows.length > 0 && (
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "text"]}
+                    headings={["Type", "Destination", "Sent", "Last delivery", ""]}
+                    rows={channelRows}
+                  />
+                )}
+                <InlineStack gap="300" blockAlign="end">
+                  <Select
+                    label="Type"
+                    options={CHANNEL_TYPE_OPTIONS}
+                    value={channel.type}
+                    onChange={setChannelField("type")}
+                    error={errors.type}
+                  />
+                  <TextField
+                    label={channel.type === "email" ? "Email addresses" : "URL"}
+                    value={channel.target}
+                    onChange={setChannelField("target")}
+                    error={errors.target}
+                    placeholder={channel.type === "email" ? "ops@example.com" : "https://example.com/alerts"}
+                    autoComplete="off"
+                  />
+                  {channel.type === "webhook" && (
+                    <TextField
+                      label="Signing secret (optional)"
+                      value={channel.secret}
+                      onChange={setChannelField("secret")}
+                      autoComplete="off"
+                    />
+                  )}
+                  <Select
+                    label="Send"
+                    options={FREQUENCY_OPTIONS}
+                    value={channel.frequency}
+                    onChange={setChannelField("frequency")}
+                    error={errors.frequency}
+                  />
+                  <Button loading={busyIntent === "createChannel"} onClick={addChannel}>
+                    Add channel
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Recent alerts
+                </Text>
+                {alertRows.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "text", "text"]}
+                    headings={["Time", "Variant", "Location", "Alert", "Available", "Status"]}
+                    rows={alertRows}
+                  />
+                ) : (
+                  <Text as="p" tone="subdued">
+                    No alerts yet. Alerts are recorded as inventory webhooks report stock changes.
+                  </Text>
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,27 @@
+import { authenticate } from "../shopify.server";
+import { csvResponse, toCsv } from "../utils/csv.server";
+import { findSyncJob, getSyncJobErrors } from "../utils/syncJobs.server";
+
+// Errors of one run as a CSV file, for the download on the history page
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const job = await findSyncJob(session.shop, params.jobId);
+
+  if (!job) {
+    throw new Response("Not found", { status: 404 });
+  }
+
+  const errors = await getSyncJobErrors(job.id);
+  const csv = toCsv(
+    ["Type", "Variant", "Batch", "Message", "Time"],
+    errors.map((error) => [
+      error.type,
+      error.variantId,
+      error.batch,
+      error.message,
+      error.createdAt.toISOString(),
+    ])
+  );
+
+  return csvResponse(csv, `sync-${job.id}-errors.csv`);
+};
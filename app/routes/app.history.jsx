@@ -0,0 +1,258 @@
+import { useState } from "react";
+import { json } from "@remix-run/node";
+import { Form, useLoaderData } from "@remix-run/react";
+import {
+  Badge,
+  BlockStack,
+  Button,
+  Card,
+  DataTable,
+  InlineStack,
+  Layout,
+  Page,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getVariantAuditTrail } from "../utils/metafieldAudit.server";
+import { listSyncJobs } from "../utils/syncJobs.server";
+import { describeJobScope } from "../utils/syncScope.server";
+import { isDryRun } from "../utils/syncPlan.server";
+
+const TRIGGER_LABELS = {
+  manual: "Manual",
+  schedule: "Schedule",
+  webhook: "Webhook",
+};
+
+const MODE_LABELS = {
+  full: "Full sync",
+  bulk: "Full sync",
+  retry: "Retry failed",
+  migrate: "Metafield move",
+  reconcile: "Drift check",
+  apply: "Apply dry run",
+  webhook: "Inventory updates",
+};
+
+const STATUS_TONES = {
+  completed: "success",
+  running: "info",
+  failed: "critical",
+  interrupted: "warning",
+  paused: "attention",
+  cancelled: "warning",
+};
+
+// Accepts a numeric variant id or a ProductVariant GID
+function toVariantGid(value) {
+  const id = String(value || "").trim().split("/").pop();
+  return /^\d+$/.test(id) ? `gid://shopify/ProductVariant/${id}` : null;
+}
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const variantQuery = new URL(request.url).searchParams.get("variant") || "";
+  const variantId = toVariantGid(variantQuery);
+
+  const [jobs, auditTrail] = await Promise.all([
+    listSyncJobs(session.shop),
+    variantId ? getVariantAuditTrail(session.shop, variantId) : null,
+  ]);
+
+  return json({
+    jobs: jobs.map((job) => ({
+      id: job.id,
+      trigger: job.trigger,
+      mode: job.mode,
+      dryRun: isDryRun(job),
+      scope: describeJobScope(job),
+      status: job.status,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      processedVariants: job.processedVariants,
+      totalVariants: job.totalVariants,
+      skippedVariants: job.skippedVariants,
+      writtenVariants: job.writtenVariants,
+      createdVariants: job.createdVariants,
+      errorCount: job._count.errors,
+      message: job.message,
+    })),
+    variantQuery,
+    variantId,
+    auditTrail,
+  });
+};
+
+// What the writes of a sync did; other runs show a dash
+function formatOutcomes(job) {
+  if (!["full", "bulk", "retry", "apply"].includes(job.mode)) return "—";
+  return `${job.writtenVariants} updated, ${job.createdVariants} created, ${job.skippedVariants} unchanged`;
+}
+
+function formatDuration(startedAt, completedAt) {
+  if (!completedAt) return "Running";
+
+  const seconds = Math.round((new Date(completedAt) - new Date(startedAt)) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// Short text for a stored metafield value: every location with its quantity
+function summarizeValue(value) {
+  if (!value) return "No value";
+
+  try {
+    const { locations } = JSON.parse(value);
+    if (locations.length === 0) return "No locations";
+    return locations.map((location) => `${location.name}: ${location.available}`).join(", ");
+  } catch {
+    return value;
+  }
+}
+
+export default function History() {
+  const { jobs, variantQuery, variantId, auditTrail } = useLoaderData();
+  const [variant, setVariant] = useState(variantQuery);
+  const [downloading, setDownloading] = useState(null);
+
+  // The download goes through fetch, which App Bridge signs with the
+  // session token, then hands the file to the browser
+  const downloadErrors = async (jobId) => {
+    setDownloading(jobId);
+    try {
+      const response = await fetch(`/app/history/${jobId}/errors`);
+      if (!response.ok) {
+        shopify.toast.show("The error report could not be downloaded. Try again.", { isError: true });
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `sync-${jobId}-errors.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const jobRows = jobs.map((job) => [
+    new Date(job.startedAt).toLocaleString(),
+    TRIGGER_LABELS[job.trigger] || job.trigger,
+    job.dryRun ? (
+      <Button key="plan" variant="plain" url={`/app/plan/${job.id}`}>
+        {`${MODE_LABELS[job.mode] || job.mode} (dry run)`}
+      </Button>
+    ) : (
+      MODE_LABELS[job.mode] || job.mode
+    ),
+    job.scope || "—",
+    <Badge key="status" tone={STATUS_TONES[job.status]}>
+      {job.status}
+    </Badge>,
+    formatDuration(job.startedAt, job.completedAt),
+    job.totalVariants > 0
+      ? `${job.processedVariants} / ${job.totalVariants}`
+      : job.processedVariants,
+    formatOutcomes(job),
+    job.errorCount > 0 ? (
+      <Button
+        key="errors"
+        variant="plain"
+        loading={downloading === job.id}
+        onClick={() => downloadErrors(job.id)}
+      >
+        {`${job.errorCount} (CSV)`}
+      </Button>
+    ) : (
+      0
+    ),
+  ]);
+
+  const auditRows = (auditTrail || []).map((entry) => [
+    new Date(entry.createdAt).toLocaleString(),
+    entry.source === "webhook" ? "Webhook" : MODE_LABELS[entry.source] || entry.source,
+    summarizeValue(entry.oldValue),
+    summarizeValue(entry.newValue),
+  ]);
+
+  return (
+    <Page>
+      <TitleBar title="Sync history" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Runs
+              </Text>
+              {jobs.length > 0 ? (
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text", "text", "text", "numeric", "text", "numeric"]}
+                  headings={["Started", "Trigger", "Type", "Scope", "Status", "Duration", "Variants", "Writes", "Errors"]}
+                  rows={jobRows}
+                />
+              ) : (
+                <Text as="p" tone="subdued">
+                  No runs yet.
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Variant changes
+              </Text>
+              <Text as="p" tone="subdued">
+                Every change the app made to a variant's location data, with
+                what it replaced and what wrote it.
+              </Text>
+              <Form method="get">
+                <InlineStack gap="300" blockAlign="end">
+                  <TextField
+                    label="Variant ID"
+                    name="variant"
+                    value={variant}
+                    onChange={setVariant}
+                    placeholder="gid://shopify/ProductVariant/123 or 123"
+                    autoComplete="off"
+                  />
+                  <Button submit>Show changes</Button>
+                </InlineStack>
+              </Form>
+              {variantQuery && !variantId && (
+                <Text as="p" tone="critical">
+                  Enter a numeric variant ID or a ProductVariant GID.
+                </Text>
+              )}
+              {auditTrail && (
+                auditRows.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text"]}
+                    headings={["Time", "Source", "Before", "After"]}
+                    rows={auditRows}
+                  />
+                ) : (
+                  <Text as="p" tone="subdued">
+                    No changes recorded for this variant.
+                  </Text>
+                )
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
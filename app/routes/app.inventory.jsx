@@ -0,0 +1,277 @@
+import { useState } from "react";
+import { json } from "@remix-run/node";
+import { Form, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import {
+  Badge,
+  BlockStack,
+  Button,
+  Card,
+  IndexTable,
+  InlineStack,
+  Layout,
+  Page,
+  Select,
+  Text,
+  TextField,
+  Thumbnail,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getInventoryPage, getSnapshotLocations } from "../utils/inventorySnapshot.server";
+
+const STOCK_OPTIONS = [
+  { label: "All stock levels", value: "" },
+  { label: "Out of stock", value: "out" },
+  { label: "Low stock", value: "low" },
+];
+
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+const METAFIELD_STATUS = {
+  synced: { label: "Synced", tone: "success" },
+  pending: { label: "Pending", tone: "attention" },
+  unwritten: { label: "Not written", tone: undefined },
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const searchParams = new URL(request.url).searchParams;
+  const threshold = parseInt(searchParams.get("threshold"), 10);
+  const page = parseInt(searchParams.get("page"), 10);
+
+  const filter = {
+    query: (searchParams.get("query") || "").trim(),
+    locationId: searchParams.get("location") || "",
+    stock: searchParams.get("stock") || "",
+    threshold: Number.isInteger(threshold) && threshold >= 0 ? threshold : DEFAULT_LOW_STOCK_THRESHOLD,
+    sort: searchParams.get("sort") || "product",
+    direction: searchParams.get("direction") === "desc" ? "desc" : "asc",
+    page: Number.isInteger(page) && page > 0 ? page : 1,
+  };
+
+  const locations = await getSnapshotLocations(session.shop);
+  const inventory = await getInventoryPage(session.shop, filter);
+
+  return json({
+    filter,
+    locations: [...locations.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((location) => ({ id: location.id, name: location.name, isActive: location.isActive })),
+    ...inventory,
+  });
+};
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+function QuantityCell({ available, threshold }) {
+  if (available === undefined) {
+    return <Text as="span" tone="subdued">—</Text>;
+  }
+  if (available <= 0) {
+    return <Badge tone="critical">{String(available)}</Badge>;
+  }
+  if (available <= threshold) {
+    return <Badge tone="warning">{String(available)}</Badge>;
+  }
+
+  return <Text as="span" numeric>{available}</Text>;
+}
+
+export default function Inventory() {
+  const { filter, locations, variants, total, pageCount } = useLoaderData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const [query, setQuery] = useState(filter.query);
+  const [locationId, setLocationId] = useState(filter.locationId);
+  const [stock, setStock] = useState(filter.stock);
+  const [threshold, setThreshold] = useState(String(filter.threshold));
+
+  // Sorting and paging keep the submitted filter
+  const show = (changes) => {
+    submit({
+      query: filter.query,
+      location: filter.locationId,
+      stock: filter.stock,
+      threshold: filter.threshold,
+      sort: filter.sort,
+      direction: filter.direction,
+      page: filter.page,
+      ...changes,
+    }, { method: "get" });
+  };
+
+  // Column order: image, product, SKU, one per location, updated, metafield
+  const locationColumn = (index) => locations[index - 3];
+  const sortKeys = ["", "product", "sku", ...locations.map(() => "location"), "", "synced"];
+  const sortColumnIndex = filter.sort === "location"
+    ? 3 + locations.findIndex((location) => location.id === filter.locationId)
+    : sortKeys.indexOf(filter.sort);
+
+  const onSort = (index, direction) => {
+    show({
+      sort: sortKeys[index],
+      location: sortKeys[index] === "location" ? locationColumn(index).id : filter.locationId,
+      direction: direction === "descending" ? "desc" : "asc",
+      page: 1,
+    });
+  };
+
+  const headings = [
+    { title: "Image", hidden: true },
+    { title: "Product" },
+    { title: "SKU" },
+    ...locations.map((location) => ({
+      title: location.isActive ? location.name : `${location.name} (inactive)`,
+      alignment: "end",
+    })),
+    { title: "Updated" },
+    { title: "Metafield" },
+  ];
+
+  const rows = variants.map((variant, index) => {
+    const status = METAFIELD_STATUS[variant.metafieldStatus];
+
+    return (
+      <IndexTable.Row id={variant.id} key={variant.id} position={index}>
+        <IndexTable.Cell>
+          {variant.imageUrl && (
+            <Thumbnail source={variant.imageUrl} alt={variant.productTitle || ""} size="small" />
+          )}
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <BlockStack gap="100">
+            <Text as="span" fontWeight="semibold">
+              {variant.productTitle || "Untitled product"}
+            </Text>
+            {variant.title && variant.title !== "Default Title" && (
+              <Text as="span" tone="subdued">
+                {variant.title}
+              </Text>
+            )}
+          </BlockStack>
+        </IndexTable.Cell>
+        <IndexTable.Cell>{variant.sku || "—"}</IndexTable.Cell>
+        {locations.map((location) => (
+          <IndexTable.Cell key={location.id}>
+            <InlineStack align="end">
+              <QuantityCell available={variant.levels[location.id]} threshold={filter.threshold} />
+            </InlineStack>
+          </IndexTable.Cell>
+        ))}
+        <IndexTable.Cell>{formatTime(variant.lastChangedAt)}</IndexTable.Cell>
+        <IndexTable.Cell>
+          <BlockStack gap="100">
+            <span>
+              <Badge tone={status.tone}>{status.label}</Badge>
+            </span>
+            {variant.metafieldSyncedAt && (
+              <Text as="span" tone="subdued" variant="bodySm">
+                {formatTime(variant.metafieldSyncedAt)}
+              </Text>
+            )}
+          </BlockStack>
+        </IndexTable.Cell>
+      </IndexTable.Row>
+    );
+  });
+
+  return (
+    <Page fullWidth backAction={{ content: "Home", url: "/app" }}>
+      <TitleBar title="Inventory" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="p" tone="subdued">
+                Stock per location as the app last read it, and whether each variant's metafield
+                holds it. A sync or inventory webhook updates these figures.
+              </Text>
+              <Form method="get">
+                <InlineStack gap="300" blockAlign="end">
+                  <TextField
+                    label="Search"
+                    name="query"
+                    value={query}
+                    onChange={setQuery}
+                    placeholder="Product, variant or SKU"
+                    autoComplete="off"
+                  />
+                  <Select
+                    label="Location"
+                    name="location"
+                    options={[
+                      { label: "Any location", value: "" },
+                      ...locations.map((location) => ({ label: location.name, value: location.id })),
+                    ]}
+                    value={locationId}
+                    onChange={setLocationId}
+                  />
+                  <Select
+                    label="Stock"
+                    name="stock"
+                    options={STOCK_OPTIONS}
+                    value={stock}
+                    onChange={setStock}
+                  />
+                  <TextField
+                    label="Low stock at or below"
+                    name="threshold"
+                    type="number"
+                    min={0}
+                    value={threshold}
+                    onChange={setThreshold}
+                    autoComplete="off"
+                  />
+                  <input type="hidden" name="sort" value={filter.sort === "location" && !locationId ? "product" : filter.sort} />
+                  <input type="hidden" name="direction" value={filter.direction} />
+                  <Button submit>Filter</Button>
+                </InlineStack>
+              </Form>
+              {filter.sort === "location" && (
+                <Text as="p" tone="subdued">
+                  Variants the location does not stock are left out while sorting by it.
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <Card padding="0">
+            <IndexTable
+              resourceName={{ singular: "variant", plural: "variants" }}
+              itemCount={variants.length}
+              headings={headings}
+              selectable={false}
+              loading={navigation.state === "loading"}
+              sortable={sortKeys.map(Boolean)}
+              sortColumnIndex={sortColumnIndex >= 0 ? sortColumnIndex : undefined}
+              sortDirection={filter.direction === "desc" ? "descending" : "ascending"}
+              defaultSortDirection="ascending"
+              onSort={onSort}
+              emptyState={
+                <BlockStack gap="200" inlineAlign="center">
+                  <Text as="p" tone="subdued">
+                    {total === 0 && !filter.query && !filter.stock
+                      ? "The app has no inventory data yet. Run a sync from the home page to collect it."
+                      : "No variants match."}
+                  </Text>
+                </BlockStack>
+              }
+              pagination={{
+                hasPrevious: filter.page > 1,
+                hasNext: filter.page < pageCount,
+                onPrevious: () => show({ page: filter.page - 1 }),
+                onNext: () => show({ page: filter.page + 1 }),
+                label: `Page ${filter.page} of ${pageCount} · ${total} variants`,
+              }}
+            >
+              {rows}
+            </IndexTable>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
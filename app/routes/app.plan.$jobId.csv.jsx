@@ -0,0 +1,28 @@
+import { authenticate } from "../shopify.server";
+import { csvResponse, toCsv } from "../utils/csv.server";
+import { findSyncJob } from "../utils/syncJobs.server";
+import { getAllPlanEntries, isDryRun } from "../utils/syncPlan.server";
+
+// Planned changes of a dry run as a CSV file, with the filter of the plan
+// page
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const job = await findSyncJob(session.shop, params.jobId);
+
+  if (!job || !isDryRun(job)) {
+    throw new Response("Not found", { status: 404 });
+  }
+
+  const searchParams = new URL(request.url).searchParams;
+  const entries = await getAllPlanEntries(job.id, {
+    change: searchParams.get("change") || "",
+    variant: (searchParams.get("variant") || "").trim(),
+  });
+
+  const csv = toCsv(
+    ["Variant", "Change", "Current value", "Planned value"],
+    entries.map((entry) => [entry.variantId, entry.change, entry.oldValue, entry.newValue])
+  );
+
+  return csvResponse(csv, `sync-${job.id}-plan.csv`);
+};
@@ -0,0 +1,202 @@
+import { useState } from "react";
+import { json } from "@remix-run/node";
+import { Form, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import {
+  BlockStack,
+  Button,
+  Card,
+  DataTable,
+  InlineStack,
+  Layout,
+  Page,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { findSyncJob } from "../utils/syncJobs.server";
+import { getPlanReport, getSyncPlan, isDryRun } from "../utils/syncPlan.server";
+
+const CHANGE_OPTIONS = [
+  { label: "All changes", value: "" },
+  { label: "Updates", value: "update" },
+  { label: "New values", value: "create" },
+];
+
+const CHANGE_LABELS = {
+  create: "New value",
+  update: "Update",
+};
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const job = await findSyncJob(session.shop, params.jobId);
+
+  if (!job || !isDryRun(job)) {
+    throw new Response("Not found", { status: 404 });
+  }
+
+  const searchParams = new URL(request.url).searchParams;
+  const filter = {
+    change: searchParams.get("change") || "",
+    variant: (searchParams.get("variant") || "").trim(),
+  };
+
+  const [plan, report] = await Promise.all([
+    getSyncPlan(job.id, filter),
+    getPlanReport(job),
+  ]);
+
+  return json({
+    jobId: job.id,
+    startedAt: job.startedAt,
+    message: job.message,
+    filter,
+    entries: plan.entries,
+    total: plan.total,
+    canApply: report?.canApply || false,
+  });
+};
+
+function readLocations(value) {
+  try {
+    return JSON.parse(value).locations;
+  } catch {
+    return [];
+  }
+}
+
+// The locations whose quantity or name a planned value changes, as
+// "Name: before → after"
+function describeChanges(oldValue, newValue) {
+  const before = new Map(readLocations(oldValue).map((location) => [location.id, location]));
+  const after = new Map(readLocations(newValue).map((location) => [location.id, location]));
+  const ids = [...new Set([...before.keys(), ...after.keys()])].sort((a, b) => a - b);
+
+  const changes = ids
+    .filter((id) => before.get(id)?.available !== after.get(id)?.available
+      || before.get(id)?.name !== after.get(id)?.name)
+    .map((id) => {
+      const name = (after.get(id) || before.get(id)).name;
+      const from = before.has(id) ? before.get(id).available : "—";
+      const to = after.has(id) ? after.get(id).available : "removed";
+      return `${name}: ${from} → ${to}`;
+    });
+
+  return changes.length > 0 ? changes.join(", ") : "Only the format changes";
+}
+
+export default function SyncPlan() {
+  const { jobId, startedAt, message, filter, entries, total, canApply } = useLoaderData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const [change, setChange] = useState(filter.change);
+  const [variant, setVariant] = useState(filter.variant);
+  const [downloading, setDownloading] = useState(false);
+
+  // The CSV goes through fetch, which App Bridge signs with the session
+  // token, like the error export on the history page
+  const downloadPlan = async () => {
+    setDownloading(true);
+    try {
+      const query = new URLSearchParams(filter).toString();
+      const response = await fetch(`/app/plan/${jobId}/csv?${query}`);
+      if (!response.ok) {
+        shopify.toast.show("The plan could not be downloaded. Try again.", { isError: true });
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `sync-${jobId}-plan.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  // The Index page starts the apply job and shows its progress
+  const applyPlan = () => {
+    submit({ intent: "applyPlan", jobId }, { method: "POST", action: "/app?index" });
+  };
+
+  const rows = entries.map((entry) => [
+    entry.variantId.split("/").pop(),
+    CHANGE_LABELS[entry.change] || entry.change,
+    describeChanges(entry.oldValue, entry.newValue),
+  ]);
+
+  return (
+    <Page backAction={{ content: "Home", url: "/app" }}>
+      <TitleBar title="Dry run plan" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Planned changes
+              </Text>
+              <Text as="p" tone="subdued">
+                {`Planned ${new Date(startedAt).toLocaleString()}. ${message || ""}`}
+              </Text>
+              <InlineStack gap="300">
+                {canApply && (
+                  <Button
+                    variant="primary"
+                    loading={navigation.state === "submitting"}
+                    onClick={applyPlan}
+                  >
+                    Apply
+                  </Button>
+                )}
+                <Button loading={downloading} onClick={downloadPlan}>
+                  Export CSV
+                </Button>
+              </InlineStack>
+              <Form method="get">
+                <InlineStack gap="300" blockAlign="end">
+                  <Select
+                    label="Change"
+                    name="change"
+                    options={CHANGE_OPTIONS}
+                    value={change}
+                    onChange={setChange}
+                  />
+                  <TextField
+                    label="Variant ID"
+                    name="variant"
+                    value={variant}
+                    onChange={setVariant}
+                    autoComplete="off"
+                  />
+                  <Button submit>Filter</Button>
+                </InlineStack>
+              </Form>
+              {rows.length > 0 ? (
+                <>
+                  <DataTable
+                    columnContentTypes={["text", "text", "text"]}
+                    headings={["Variant", "Change", "Locations"]}
+                    rows={rows}
+                  />
+                  {total > rows.length && (
+                    <Text as="p" tone="subdued">
+                      {`Showing the first ${rows.length} of ${total} changes. Export the CSV for all of them.`}
+                    </Text>
+                  )}
+                </>
+              ) : (
+                <Text as="p" tone="subdued">
+                  No planned changes match.
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
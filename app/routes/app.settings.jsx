@@ -0,0 +1,363 @@
+import { useEffect, useState } from "react";
+import { json } from "@remix-run/node";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  Checkbox,
+  ChoiceList,
+  InlineError,
+  InlineStack,
+  Layout,
+  Page,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { createGraphqlClient } from "../utils/graphqlClient.server";
+import { fetchShopLocations } from "../utils/locations.server";
+import { changeMetafieldTarget } from "../utils/sync.server";
+import { getShopSettings, updateShopSettings } from "../utils/settings.server";
+
+const AUTO_SYNC_MODE_OPTIONS = [
+  { label: "Sync all variants", value: "sync" },
+  { label: "Check for drift", value: "reconcile" },
+  { label: "Check for drift and repair it", value: "repair" },
+];
+
+const HOUR_OPTIONS = Array.from({ length: 24 }, (_, hour) => ({
+  label: `${String(hour).padStart(2, "0")}:00`,
+  value: String(hour),
+}));
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const [settings, locations] = await Promise.all([
+    getShopSettings(session.shop),
+    fetchShopLocations(createGraphqlClient(admin, session.shop)),
+  ]);
+
+  return json({ settings, locations });
+};
+
+// Reads a field the page sends as JSON. Returns `fallback` and sets an error
+// when the field is not valid JSON or not of the expected kind.
+function readJsonField(formData, name, fallback, isValid, errors) {
+  try {
+    const value = JSON.parse(formData.get(name) || JSON.stringify(fallback));
+    if (isValid(value)) return value;
+  } catch {
+    // Reported below like a value of the wrong kind
+  }
+
+  errors[name] = "This field could not be read. Reload the page and try again.";
+  return fallback;
+}
+
+const isIdList = (value) => Array.isArray(value) && value.every((id) => typeof id === "string");
+const isNameMap = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Reads and checks the submitted form. Namespace and key follow Shopify's
+// metafield rules.
+function parseSettingsForm(formData) {
+  const errors = {};
+  const namespace = String(formData.get("metafieldNamespace") || "").trim();
+  const key = String(formData.get("metafieldKey") || "").trim();
+  const syncConcurrency = parseInt(formData.get("syncConcurrency"), 10);
+  const autoSyncHour = parseInt(formData.get("autoSyncHour"), 10);
+  const autoSyncMode = String(formData.get("autoSyncMode") || "");
+
+  // Blank display names fall back to the location's own name
+  const locationDisplayNames = {};
+  Object.entries(readJsonField(formData, "locationDisplayNames", {}, isNameMap, errors)).forEach(([id, name]) => {
+    if (String(name).trim()) locationDisplayNames[id] = String(name).trim();
+  });
+
+  if (!/^[A-Za-z0-9_-]{3,255}$/.test(namespace)) {
+    errors.metafieldNamespace = "Use 3 to 255 letters, numbers, hyphens or underscores.";
+  }
+  if (!/^[A-Za-z0-9_-]{2,64}$/.test(key)) {
+    errors.metafieldKey = "Use 2 to 64 letters, numbers, hyphens or underscores.";
+  }
+  if (!(syncConcurrency >= 1 && syncConcurrency <= 20)) {
+    errors.syncConcurrency = "Enter a number from 1 to 20.";
+  }
+  if (!(autoSyncHour >= 0 && autoSyncHour <= 23)) {
+    errors.autoSyncHour = "Choose an hour of the day.";
+  }
+  if (!AUTO_SYNC_MODE_OPTIONS.some((option) => option.value === autoSyncMode)) {
+    errors.autoSyncMode = "Choose what the daily run does.";
+  }
+
+  return {
+    errors,
+    target: { namespace, key },
+    settings: {
+      includedLocationIds: readJsonField(formData, "includedLocationIds", [], isIdList, errors),
+      excludedLocationIds: readJsonField(formData, "excludedLocationIds", [], isIdList, errors),
+      includeZeroStock: formData.get("includeZeroStock") === "true",
+      hideInactiveLocations: formData.get("hideInactiveLocations") === "true",
+      pickupLocationsOnly: formData.get("pickupLocationsOnly") === "true",
+      locationDisplayNames,
+      syncConcurrency,
+      autoSyncEnabled: formData.get("autoSyncEnabled") === "true",
+      autoSyncHour,
+      autoSyncMode,
+    },
+  };
+}
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const { errors, target, settings } = parseSettingsForm(await request.formData());
+
+  if (Object.keys(errors).length > 0) {
+    return json({ success: false, errors }, { status: 422 });
+  }
+
+  await updateShopSettings(session.shop, settings);
+
+  try {
+    // A new namespace/key moves the existing values in a background job
+    const { job, alreadyRunning } = await changeMetafieldTarget(
+      createGraphqlClient(admin, session.shop),
+      session.shop,
+      target
+    );
+
+    if (alreadyRunning) {
+      return json({
+        success: false,
+        message: "Settings saved, but the metafield was not changed because a sync is running. Try again once it has finished.",
+      });
+    }
+
+    return json({
+      success: true,
+      message: job
+        ? `Settings saved. Existing values are being moved to ${target.namespace}.${target.key}.`
+        : "Settings saved.",
+    });
+  } catch (error) {
+    return json({
+      success: false,
+      message: `Settings saved, but the metafield could not be changed: ${error.message}`,
+    });
+  }
+};
+
+export default function Settings() {
+  const { settings, locations } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const isSaving = navigation.state === "submitting";
+
+  const [form, setForm] = useState(settings);
+  const errors = actionData?.errors || {};
+
+  // Show what the server stored after saving
+  useEffect(() => {
+    setForm(settings);
+  }, [settings]);
+
+  const setField = (field) => (value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const locationChoices = locations.map((location) => ({
+    label: location.isActive ? location.name : `${location.name} (inactive)`,
+    value: location.id,
+  }));
+
+  const setDisplayName = (locationId) => (value) =>
+    setForm((prev) => ({
+      ...prev,
+      locationDisplayNames: { ...prev.locationDisplayNames, [locationId]: value },
+    }));
+
+  const handleSave = () => {
+    submit(
+      {
+        metafieldNamespace: form.metafieldNamespace,
+        metafieldKey: form.metafieldKey,
+        includedLocationIds: JSON.stringify(form.includedLocationIds),
+        excludedLocationIds: JSON.stringify(form.excludedLocationIds),
+        includeZeroStock: String(form.includeZeroStock),
+        hideInactiveLocations: String(form.hideInactiveLocations),
+        pickupLocationsOnly: String(form.pickupLocationsOnly),
+        locationDisplayNames: JSON.stringify(form.locationDisplayNames),
+        syncConcurrency: String(form.syncConcurrency),
+        autoSyncEnabled: String(form.autoSyncEnabled),
+        autoSyncHour: String(form.autoSyncHour),
+        autoSyncMode: form.autoSyncMode,
+      },
+      { method: "post" }
+    );
+  };
+
+  return (
+    <Page>
+      <TitleBar title="Settings" />
+      <Layout>
+        {actionData?.message && (
+          <Layout.Section>
+            <Banner tone={actionData.success ? "success" : "warning"}>
+              <Text as="p">{actionData.message}</Text>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Locations
+                </Text>
+                <ChoiceList
+                  allowMultiple
+                  title="Only include these locations (leave empty to include all)"
+                  choices={locationChoices}
+                  selected={form.includedLocationIds}
+                  onChange={setField("includedLocationIds")}
+                  error={errors.includedLocationIds}
+                />
+                <ChoiceList
+                  allowMultiple
+                  title="Always exclude these locations"
+                  choices={locationChoices}
+                  selected={form.excludedLocationIds}
+                  onChange={setField("excludedLocationIds")}
+                  error={errors.excludedLocationIds}
+                />
+                <Checkbox
+                  label="Include locations with zero or negative stock"
+                  checked={form.includeZeroStock}
+                  onChange={setField("includeZeroStock")}
+                />
+                <Checkbox
+                  label="Hide inactive locations"
+                  checked={form.hideInactiveLocations}
+                  onChange={setField("hideInactiveLocations")}
+                />
+                <Checkbox
+                  label="Only show locations that offer local pickup"
+                  checked={form.pickupLocationsOnly}
+                  onChange={setField("pickupLocationsOnly")}
+                />
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Display names
+                </Text>
+                <Text as="p" tone="subdued">
+                  The name customers see for each location. Leave a field
+                  empty to use the location's name.
+                </Text>
+                {locations.map((location) => (
+                  <TextField
+                    key={location.id}
+                    label={location.name}
+                    value={form.locationDisplayNames[location.id] || ""}
+                    onChange={setDisplayName(location.id)}
+                    placeholder={location.name}
+                    autoComplete="off"
+                  />
+                ))}
+                {errors.locationDisplayNames && (
+                  <InlineError message={errors.locationDisplayNames} fieldID="locationDisplayNames" />
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Metafield
+                </Text>
+                <Text as="p" tone="subdued">
+                  Changing the namespace or key moves every existing value to
+                  the new metafield.
+                </Text>
+                <InlineStack gap="300" wrap={false}>
+                  <TextField
+                    label="Namespace"
+                    value={form.metafieldNamespace}
+                    onChange={setField("metafieldNamespace")}
+                    error={errors.metafieldNamespace}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Key"
+                    value={form.metafieldKey}
+                    onChange={setField("metafieldKey")}
+                    error={errors.metafieldKey}
+                    autoComplete="off"
+                  />
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Sync
+                </Text>
+                <TextField
+                  label="Sync concurrency"
+                  type="number"
+                  min={1}
+                  max={20}
+                  value={String(form.syncConcurrency)}
+                  onChange={setField("syncConcurrency")}
+                  error={errors.syncConcurrency}
+                  helpText="Requests a sync keeps in flight at once. The shop's API limit still paces them."
+                  autoComplete="off"
+                />
+                <Checkbox
+                  label="Run automatically every day"
+                  checked={form.autoSyncEnabled}
+                  onChange={setField("autoSyncEnabled")}
+                />
+                <Select
+                  label="Time of day (shop time zone)"
+                  options={HOUR_OPTIONS}
+                  value={String(form.autoSyncHour)}
+                  onChange={setField("autoSyncHour")}
+                  error={errors.autoSyncHour}
+                  disabled={!form.autoSyncEnabled}
+                />
+                <Select
+                  label="Daily run"
+                  options={AUTO_SYNC_MODE_OPTIONS}
+                  value={form.autoSyncMode}
+                  onChange={setField("autoSyncMode")}
+                  error={errors.autoSyncMode}
+                  disabled={!form.autoSyncEnabled}
+                />
+              </BlockStack>
+            </Card>
+
+            <InlineStack align="end">
+              <Button variant="primary" loading={isSaving} onClick={handleSave}>
+                Save
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
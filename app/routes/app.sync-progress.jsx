@@ -0,0 +1,11 @@
+import { authenticate } from "../shopify.server";
+import { createProgressStream } from "../utils/progressStream.server";
+
+// Progress stream for the Index page. EventSource cannot send headers, so
+// the page passes its session token as the `id_token` search parameter,
+// next to the shop, host and embedded parameters of the admin URL.
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return createProgressStream(session.shop, request.signal);
+};
@@ -0,0 +1,72 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getSnapshotAvailability } from "../utils/inventorySnapshot.server";
+import { getShopSettings } from "../utils/settings.server";
+
+// Storefronts read it through the app proxy (see [app_proxy] in
+// shopify.app.toml) as /apps/locations/availability. Browsers and the proxy
+// may keep an answer this long.
+const CACHE_MAX_AGE = 30;
+
+// Variant ids one request may ask for
+const MAX_VARIANTS = 100;
+
+// Comma separated ids, from one parameter or repeated ones
+function readIds(searchParams, name) {
+  return searchParams
+    .getAll(name)
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+function isNumericId(value) {
+  return /^\d+$/.test(value.split("/").pop());
+}
+
+function numericId(value) {
+  return value.split("/").pop();
+}
+
+// Per-location availability of the given variants from the app's local
+// inventory snapshot, with the shop's location rules applied:
+//   ?variant_ids=123,456[&location_ids=789]
+// Variants the snapshot does not have yet are listed under `missing`.
+export const loader = async ({ request }) => {
+  // Rejects requests without a valid proxy signature
+  await authenticate.public.appProxy(request);
+
+  const url = new URL(request.url);
+  const shop = url.searchParams.get("shop");
+  const variantIds = readIds(url.searchParams, "variant_ids");
+  const locationIds = readIds(url.searchParams, "location_ids");
+
+  if (variantIds.length === 0) {
+    return json({ error: "Pass the variants as variant_ids." }, { status: 400 });
+  }
+  if (variantIds.length > MAX_VARIANTS) {
+    return json({ error: `Ask for at most ${MAX_VARIANTS} variants at a time.` }, { status: 400 });
+  }
+  if (![...variantIds, ...locationIds].every(isNumericId)) {
+    return json({ error: "Ids must be numeric ids or GIDs." }, { status: 400 });
+  }
+
+  const ids = [...new Set(variantIds.map(numericId))];
+  const { variants, missing } = await getSnapshotAvailability(
+    shop,
+    await getShopSettings(shop),
+    ids.map((id) => `gid://shopify/ProductVariant/${id}`),
+    { locationIds }
+  );
+
+  return json({
+    variants: variants.map((variant) => ({ ...variant, id: numericId(variant.id) })),
+    missing: missing.map(numericId),
+  }, {
+    headers: {
+      "Cache-Control": `public, max-age=${CACHE_MAX_AGE}, stale-while-revalidate=${CACHE_MAX_AGE}`,
+      // Headless storefronts call the proxy from their own origin
+      "Access-Control-Allow-Origin": "*",
+    },
+  });
+};
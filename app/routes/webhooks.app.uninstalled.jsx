@@ -1,5 +1,7 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { clearSnapshot } from "../utils/inventorySnapshot.server";
+import { clearStockAlerts } from "../utils/stockAlerts.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +14,17 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Queued inventory events and location changes can no longer be applied
+  // without a session
+  await db.inventoryEvent.deleteMany({ where: { shop } });
+  await db.locationChange.deleteMany({ where: { shop } });
+
+  // The local inventory snapshot is rebuilt by the first sync after a
+  // reinstall
+  await clearSnapshot(shop);
+
+  // Alert rules and channels are set up again after a reinstall
+  await clearStockAlerts(shop);
+
   return new Response();
 };
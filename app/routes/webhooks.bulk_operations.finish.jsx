@@ -0,0 +1,29 @@
+import { authenticate } from "../shopify.server";
+import { createGraphqlClient } from "../utils/graphqlClient.server";
+import { handleFinishedBulkOperation } from "../utils/sync.server";
+import { findSyncJobByBulkOperation } from "../utils/syncJobs.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (!admin) {
+    return new Response();
+  }
+
+  const operationId = payload.admin_graphql_api_id;
+  const job = await findSyncJobByBulkOperation(shop, operationId);
+
+  if (!job) {
+    console.log(`No running sync job for bulk operation ${operationId}`);
+    return new Response();
+  }
+
+  // Write the result in the background so Shopify gets its response quickly
+  handleFinishedBulkOperation(createGraphqlClient(admin, shop), job, operationId).catch(error => {
+    console.error("Failed to process finished bulk operation:", error);
+  });
+
+  return new Response();
+};
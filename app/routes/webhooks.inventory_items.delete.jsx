@@ -0,0 +1,20 @@
+import { authenticate } from "../shopify.server.js";
+import { discardInventoryItemEvents } from "../utils/inventoryQueue.server";
+import { removeInventoryItem } from "../utils/inventorySnapshot.server";
+
+// The variant of a deleted inventory item is gone, and its metafield with
+// it. Only the events still queued for the item and its variant in the local
+// snapshot need to go.
+export async function action({ request }) {
+  const { payload, shop, topic } = await authenticate.webhook(request);
+  console.log(`Received ${topic} webhook for ${shop}:`, payload);
+
+  try {
+    await discardInventoryItemEvents(shop, payload.id);
+    await removeInventoryItem(shop, `gid://shopify/InventoryItem/${payload.id}`);
+    return new Response(null, { status: 200 });
+  } catch (error) {
+    console.error("Failed to discard inventory item:", error);
+    return new Response("Error processing webhook", { status: 500 });
+  }
+}
@@ -0,0 +1,16 @@
+import {
+  enqueueInventoryUpdate,
+  scheduleInventoryQueueDrain
+} from "../utils/inventoryQueue.server";
+import { queueWebhook } from "../utils/webhookDeliveries.server";
+
+// A newly stocked location is queued like a quantity update, so the worker
+// adds its entry to the variant's metafield
+export async function action({ request }) {
+  return queueWebhook(request, async ({ payload, shop, topic, webhookId }) => {
+    if (topic === "INVENTORY_LEVELS_CONNECT") {
+      await enqueueInventoryUpdate(shop, webhookId, payload);
+      scheduleInventoryQueueDrain(shop);
+    }
+  });
+}
@@ -0,0 +1,16 @@
+import {
+  enqueueInventoryUpdate,
+  scheduleInventoryQueueDrain
+} from "../utils/inventoryQueue.server";
+import { queueWebhook } from "../utils/webhookDeliveries.server";
+
+// Queues the removal of the location's entry from the variant's metafield.
+// Going through the queue keeps it in order with updates for the same item.
+export async function action({ request }) {
+  return queueWebhook(request, async ({ payload, shop, topic, webhookId }) => {
+    if (topic === "INVENTORY_LEVELS_DISCONNECT") {
+      await enqueueInventoryUpdate(shop, webhookId, payload, "disconnect");
+      scheduleInventoryQueueDrain(shop);
+    }
+  });
+}
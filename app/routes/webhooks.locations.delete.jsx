@@ -0,0 +1,16 @@
+import {
+  enqueueLocationChange,
+  scheduleLocationChanges
+} from "../utils/locationChanges.server";
+import { queueWebhook } from "../utils/webhookDeliveries.server";
+
+// Queues the removal of the deleted location's entries from every variant's
+// metafield
+export async function action({ request }) {
+  return queueWebhook(request, async ({ payload, shop, topic, webhookId }) => {
+    if (topic === "LOCATIONS_DELETE") {
+      await enqueueLocationChange(shop, webhookId, { locationId: payload.id, deleted: true });
+      scheduleLocationChanges(shop);
+    }
+  });
+}
@@ -0,0 +1,17 @@
+import {
+  enqueueLocationChange,
+  scheduleLocationChanges
+} from "../utils/locationChanges.server";
+import { queueWebhook } from "../utils/webhookDeliveries.server";
+
+// Renames, activations and deactivations (all subscribed to this route) are
+// queued as a location change. Applying it goes over every variant's
+// metafield, which is far too slow to do before answering.
+export async function action({ request }) {
+  return queueWebhook(request, async ({ payload, shop, topic, webhookId }) => {
+    if (["LOCATIONS_UPDATE", "LOCATIONS_ACTIVATE", "LOCATIONS_DEACTIVATE"].includes(topic)) {
+      await enqueueLocationChange(shop, webhookId, { locationId: payload.id, deleted: false });
+      scheduleLocationChanges(shop);
+    }
+  });
+}
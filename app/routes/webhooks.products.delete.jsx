@@ -0,0 +1,23 @@
+import { authenticate } from "../shopify.server.js";
+import { discardInventoryItemEvents } from "../utils/inventoryQueue.server";
+import { removeProduct } from "../utils/inventorySnapshot.server";
+
+// The variants of a deleted product are gone with their metafields. Shopify
+// does not promise an inventory_items/delete webhook for each of them, so the
+// product's variants leave the local snapshot here, with the events still
+// queued for their inventory items.
+export async function action({ request }) {
+  const { payload, shop, topic } = await authenticate.webhook(request);
+  console.log(`Received ${topic} webhook for ${shop}:`, payload);
+
+  try {
+    const inventoryItemIds = await removeProduct(shop, `gid://shopify/Product/${payload.id}`);
+    for (const inventoryItemId of inventoryItemIds) {
+      await discardInventoryItemEvents(shop, inventoryItemId.split("/").pop());
+    }
+    return new Response(null, { status: 200 });
+  } catch (error) {
+    console.error("Failed to remove deleted product:", error);
+    return new Response("Error processing webhook", { status: 500 });
+  }
+}
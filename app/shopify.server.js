@@ -7,6 +7,9 @@ import {
 } from "@shopify/shopify-app-remix/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
+import { createGraphqlClient } from "./utils/graphqlClient.server";
+import { ensureLocationsMetafieldDefinition } from "./utils/metafieldDefinition.server";
+import { getMetafieldTarget, getShopSettings } from "./utils/settings.server";
 import { shopifyApi } from "@shopify/shopify-api";
 
 const shopify = shopifyApp({
@@ -18,6 +21,18 @@ const shopify = shopifyApp({
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
+  hooks: {
+    afterAuth: async ({ session, admin }) => {
+      // The app owns the definition of the metafield it writes to
+      const settings = await getShopSettings(session.shop);
+      await ensureLocationsMetafieldDefinition(
+        createGraphqlClient(admin, session.shop),
+        getMetafieldTarget(settings)
+      ).catch((error) => {
+        console.error(`Could not set up the locations metafield definition for ${session.shop}:`, error);
+      });
+    },
+  },
   future: {
     unstable_newEmbeddedAuthStrategy: true,
     removeRest: true,
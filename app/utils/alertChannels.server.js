@@ -0,0 +1,266 @@
+import { createHmac } from "node:crypto";
+import { fetch } from "undici";
+import db from "../db.server";
+import { createSmtpTransport } from "./smtp.server";
+import { describeStockAlerts, evaluateStockAlerts } from "./stockAlerts.server";
+import { checkWebhookTarget, webhookAgent } from "./webhookTargets.server";
+
+// Where a shop's stock alerts are sent. Each AlertChannel has a type with a
+// transport below and gets every alert as it is recorded ("instant") or one
+// message a day with the alerts since the last one ("digest").
+
+export const ALERT_CHANNEL_TYPES = ["email", "webhook"];
+export const ALERT_CHANNEL_FREQUENCIES = ["instant", "digest"];
+
+// Configuration
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const KIND_LABELS = {
+  low: "Low stock",
+  out: "Out of stock",
+};
+
+// Emails go through SMTP_URL (see smtp.server.js) unless another transport
+// with the same `sendMail({ from, to, subject, text })` is set
+let mailTransport = null;
+
+export function setMailTransport(transport) {
+  mailTransport = transport;
+}
+
+function getMailTransport() {
+  if (!mailTransport && process.env.SMTP_URL) {
+    mailTransport = createSmtpTransport(process.env.SMTP_URL);
+  }
+  if (!mailTransport) {
+    throw new Error("No mail transport is configured. Set SMTP_URL to send alert emails.");
+  }
+
+  return mailTransport;
+}
+
+function describeAlert(alert) {
+  const variant = [alert.productTitle || alert.variantId, alert.variantTitle !== "Default Title" && alert.variantTitle]
+    .filter(Boolean)
+    .join(" – ");
+  const sku = alert.sku ? ` (SKU ${alert.sku})` : "";
+
+  return `${KIND_LABELS[alert.kind]}: ${variant}${sku} at ${alert.locationName}, ${alert.available} available (alert at ${alert.threshold})`;
+}
+
+async function sendEmail(channel, { shop, alerts, digest }) {
+  const subject = digest
+    ? `Daily stock alert digest for ${shop}: ${alerts.length} alerts`
+    : alerts.length === 1
+      ? `${KIND_LABELS[alerts[0].kind]} at ${alerts[0].locationName}`
+      : `${alerts.length} stock alerts for ${shop}`;
+
+  await getMailTransport().sendMail({
+    from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_FROM || `alerts@${shop}`,
+    to: channel.target.split(",").map((address) => address.trim()).filter(Boolean),
+    subject,
+    text: [
+      digest ? `Stock alerts recorded for ${shop} in the last day:` : `New stock alerts for ${shop}:`,
+      "",
+      ...alerts.map((alert) => `- ${describeAlert(alert)}`),
+    ].join("\n"),
+  });
+}
+
+// POSTs the alerts as JSON. With a secret, the body is signed like Shopify
+// signs its webhooks, as a base64 HMAC-SHA256 in X-Stock-Alert-Hmac-Sha256.
+// The target is checked again before each send, the connection only goes to
+// the public address it was checked against (see webhookAgent), and
+// redirects are not followed, so none of them can lead into the app's own
+// network.
+async function sendWebhook(channel, { shop, alerts, digest }) {
+  const problem = await checkWebhookTarget(channel.target);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const body = JSON.stringify({ shop, digest, alerts });
+  const headers = { "Content-Type": "application/json" };
+  if (channel.secret) {
+    headers["X-Stock-Alert-Hmac-Sha256"] = createHmac("sha256", channel.secret).update(body).digest("base64");
+  }
+
+  const response = await fetch(channel.target, {
+    method: "POST",
+    headers,
+    body,
+    redirect: "manual",
+    dispatcher: webhookAgent,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook answered ${response.status} ${response.statusText}`);
+  }
+}
+
+const TRANSPORTS = {
+  email: sendEmail,
+  webhook: sendWebhook,
+};
+
+// Adds a channel type, or replaces how one is sent. `send(channel, message)`
+// gets `{ shop, alerts, digest }` and throws when the message was not sent.
+export function registerAlertTransport(type, send) {
+  TRANSPORTS[type] = send;
+}
+
+// Sends one message and records the outcome on the channel. Returns whether
+// it was sent.
+async function deliver(channel, message) {
+  try {
+    await TRANSPORTS[channel.type](channel, message);
+    await db.alertChannel.update({
+      where: { id: channel.id },
+      data: { lastSentAt: new Date(), lastError: null },
+    });
+    return true;
+  } catch (error) {
+    console.error(`Sending stock alerts to ${channel.type} channel ${channel.id} failed:`, error);
+    await db.alertChannel.update({
+      where: { id: channel.id },
+      data: { lastError: error.message },
+    });
+    return false;
+  }
+}
+
+export async function listAlertChannels(shop) {
+  return db.alertChannel.findMany({ where: { shop }, orderBy: { createdAt: "asc" } });
+}
+
+// A digest channel collects the alerts recorded from now on
+export async function createAlertChannel(shop, { type, target, secret, frequency }) {
+  return db.alertChannel.create({
+    data: {
+      shop,
+      type,
+      target,
+      secret: type === "webhook" && secret ? secret : null,
+      frequency,
+      lastDigestAt: frequency === "digest" ? new Date() : null,
+    },
+  });
+}
+
+export async function deleteAlertChannel(shop, channelId) {
+  const { count } = await db.alertChannel.deleteMany({ where: { shop, id: channelId } });
+  return count > 0;
+}
+
+// Sends a made-up alert through one channel, so the merchant can check it
+export async function sendTestAlert(shop, channelId) {
+  const channel = await db.alertChannel.findFirst({ where: { shop, id: channelId } });
+  if (!channel) return { sent: false, error: "Channel not found" };
+
+  const sent = await deliver(channel, {
+    shop,
+    digest: channel.frequency === "digest",
+    alerts: [{
+      id: 0,
+      kind: "low",
+      status: "open",
+      variantId: "gid://shopify/ProductVariant/0",
+      productTitle: "Test product",
+      variantTitle: null,
+      sku: "TEST",
+      locationId: "0",
+      locationName: "Test location",
+      available: 2,
+      threshold: 5,
+      createdAt: new Date(),
+      resolvedAt: null,
+    }],
+  });
+
+  if (sent) return { sent: true };
+  const { lastError } = await db.alertChannel.findUnique({ where: { id: channel.id } });
+  return { sent: false, error: lastError };
+}
+
+// Sends newly recorded alerts to the shop's instant channels. A failed
+// channel does not stop the others; the alerts still reach digests.
+export async function notifyStockAlerts(shop, alerts) {
+  if (alerts.length === 0) return;
+
+  const channels = await db.alertChannel.findMany({ where: { shop, frequency: "instant" } });
+  if (channels.length > 0) {
+    const message = { shop, digest: false, alerts: await describeStockAlerts(shop, alerts) };
+    for (const channel of channels) {
+      await deliver(channel, message);
+    }
+  }
+
+  await db.stockAlert.updateMany({
+    where: { id: { in: alerts.map((alert) => alert.id) } },
+    data: { notifiedAt: new Date() },
+  });
+}
+
+// Checks the variants whose stored levels changed against the shop's alert
+// rules and sends what they raised. Called by the inventory queue and by
+// syncs after they store levels; alerts must not hold either up, so failures
+// are only logged. Syncs pass `notify: false` and send what their batches
+// raised in one message when they end (see notifyStockAlertsSince).
+export async function checkStockAlerts(shop, variantIds, { notify = true } = {}) {
+  if (variantIds.length === 0) return;
+
+  try {
+    const alerts = await evaluateStockAlerts(shop, variantIds);
+    if (notify) {
+      await notifyStockAlerts(shop, alerts);
+    }
+  } catch (error) {
+    console.error(`Checking stock alerts for ${shop} failed:`, error);
+  }
+}
+
+// Sends the open alerts recorded since `since` that were not sent yet, as
+// one message to each instant channel
+export async function notifyStockAlertsSince(shop, since) {
+  try {
+    const alerts = await db.stockAlert.findMany({
+      where: { shop, status: "open", notifiedAt: null, createdAt: { gte: since } },
+      orderBy: { createdAt: "asc" },
+    });
+    await notifyStockAlerts(shop, alerts);
+  } catch (error) {
+    console.error(`Sending stock alerts for ${shop} failed:`, error);
+  }
+}
+
+// Called by the scheduler: sends every digest channel whose last digest is
+// a day old the alerts recorded since. Days without alerts send nothing. A
+// failed digest is tried again on the next call.
+export async function sendAlertDigests() {
+  const due = await db.alertChannel.findMany({
+    where: {
+      frequency: "digest",
+      lastDigestAt: { lt: new Date(Date.now() - DIGEST_INTERVAL_MS) },
+    },
+  });
+
+  for (const channel of due) {
+    const until = new Date();
+    const alerts = await db.stockAlert.findMany({
+      where: { shop: channel.shop, createdAt: { gt: channel.lastDigestAt, lte: until } },
+      orderBy: { createdAt: "asc" },
+    });
+
+    const sent = alerts.length === 0 || await deliver(channel, {
+      shop: channel.shop,
+      digest: true,
+      alerts: await describeStockAlerts(channel.shop, alerts),
+    });
+
+    if (sent) {
+      await db.alertChannel.update({ where: { id: channel.id }, data: { lastDigestAt: until } });
+    }
+  }
+}
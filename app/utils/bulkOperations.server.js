@@ -0,0 +1,100 @@
+import { createInterface } from "node:readline";
+import { Readable } from "node:stream";
+
+// Statuses after which a bulk operation will not change any more
+const FINISHED_STATUSES = ["COMPLETED", "FAILED", "CANCELED", "EXPIRED"];
+
+const POLL_INTERVAL = 5000;
+
+// Starts a bulk query and returns the id of the new BulkOperation
+export async function runBulkQuery(admin, query) {
+  const response = await admin.graphql(
+    `
+    mutation RunBulkQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+    { variables: { query } }
+  );
+
+  const data = await response.json();
+  const userErrors = data.data?.bulkOperationRunQuery?.userErrors || [];
+
+  if (userErrors.length > 0) {
+    throw new Error(userErrors.map((e) => e.message).join(", "));
+  }
+
+  return data.data.bulkOperationRunQuery.bulkOperation.id;
+}
+
+export async function getBulkOperation(admin, id) {
+  const response = await admin.graphql(
+    `
+    query GetBulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          createdAt
+          url
+        }
+      }
+    }
+  `,
+    { variables: { id } }
+  );
+
+  const data = await response.json();
+  return data.data.node;
+}
+
+// Polls the operation until it has finished. `shouldStop` is checked between
+// polls, and returning true from it ends the wait with `null` (for example
+// when the bulk_operations/finish webhook has already picked up the result).
+export async function waitForBulkOperation(admin, id, { shouldStop } = {}) {
+  while (true) {
+    const operation = await getBulkOperation(admin, id);
+
+    if (FINISHED_STATUSES.includes(operation.status)) {
+      return operation;
+    }
+
+    if (shouldStop && (await shouldStop())) {
+      return null;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+  }
+}
+
+// Streams the JSONL result file of a bulk operation line by line, so large
+// catalogs never have to be held as one string in memory. Yields each record;
+// leaving the loop early stops the download.
+export async function* readBulkOperationResult(url) {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`Failed to download bulk operation result (${response.status})`);
+  }
+
+  const lines = createInterface({
+    input: Readable.fromWeb(response.body),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    yield JSON.parse(line);
+  }
+}
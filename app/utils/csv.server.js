@@ -0,0 +1,30 @@
+// Spreadsheets run text cells that start with one of these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Text from the shop (product titles, SKUs, error messages) that starts like
+// a formula gets a leading ' so a spreadsheet shows it as text. Numbers like
+// -3 stay numbers.
+function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Builds CSV text from a header row and rows of values
+export function toCsv(headers, rows) {
+  return [headers, ...rows]
+    .map((row) => row.map(escapeCsvValue).join(","))
+    .join("\r\n");
+}
+
+// Response that makes the browser save `csv` as `filename`
+export function csvResponse(csv, filename) {
+  return new Response(csv, {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    },
+  });
+}
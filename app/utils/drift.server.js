@@ -0,0 +1,99 @@
+import db from "../db.server";
+
+// How many drift rows the Index page shows
+const REPORT_LIMIT = 250;
+
+// Compares a stored payload with the one built from live inventory levels and
+// returns one row per location whose quantity differs or that only one side
+// lists
+export function findLocationDrift(stored, actual) {
+  const storedById = new Map(stored.locations.map((location) => [location.id, location]));
+  const actualById = new Map(actual.locations.map((location) => [location.id, location]));
+  const ids = new Set([...storedById.keys(), ...actualById.keys()]);
+
+  const drift = [];
+  ids.forEach((id) => {
+    const storedLocation = storedById.get(id);
+    const actualLocation = actualById.get(id);
+
+    if (storedLocation?.available === actualLocation?.available) return;
+
+    drift.push({
+      locationId: String(id),
+      locationName: (actualLocation || storedLocation).name,
+      storedAvailable: storedLocation ? storedLocation.available : null,
+      actualAvailable: actualLocation ? actualLocation.available : null,
+    });
+  });
+
+  return drift;
+}
+
+// `entries` are `{ variantId, drift }` pairs, `drift` as returned by
+// findLocationDrift. A page checked again after a resume replaces the rows it
+// recorded before.
+export async function recordDriftEntries(jobId, entries) {
+  const data = entries.flatMap(({ variantId, drift }) =>
+    drift.map((location) => ({ ...location, jobId, variantId }))
+  );
+
+  if (data.length === 0) return;
+
+  await db.$transaction([
+    db.driftEntry.deleteMany({
+      where: { jobId, variantId: { in: entries.map((entry) => entry.variantId) } },
+    }),
+    db.driftEntry.createMany({ data }),
+  ]);
+}
+
+export async function markDriftRepaired(jobId, variantIds) {
+  if (variantIds.length === 0) return;
+
+  await db.driftEntry.updateMany({
+    where: { jobId, variantId: { in: variantIds } },
+    data: { repaired: true },
+  });
+}
+
+async function countVariants(where) {
+  const variants = await db.driftEntry.findMany({
+    where,
+    distinct: ["variantId"],
+    select: { variantId: true },
+  });
+  return variants.length;
+}
+
+// Counts of what a reconcile job found and repaired
+export async function getDriftSummary(jobId) {
+  const [total, variantCount, repairedVariantCount] = await Promise.all([
+    db.driftEntry.count({ where: { jobId } }),
+    countVariants({ jobId }),
+    countVariants({ jobId, repaired: true }),
+  ]);
+
+  return { total, variantCount, repairedVariantCount };
+}
+
+// Drift found by a reconcile job, for the Index page. Returns null for jobs
+// of other modes.
+export async function getDriftReport(job) {
+  if (job?.mode !== "reconcile") return null;
+
+  const [entries, summary] = await Promise.all([
+    db.driftEntry.findMany({
+      where: { jobId: job.id },
+      orderBy: { id: "asc" },
+      take: REPORT_LIMIT,
+    }),
+    getDriftSummary(job.id),
+  ]);
+
+  return {
+    jobId: job.id,
+    repair: JSON.parse(job.options || "{}").repair === true,
+    entries,
+    ...summary,
+  };
+}
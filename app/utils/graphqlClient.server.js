@@ -0,0 +1,136 @@
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF = 1000;
+
+// Cost assumed for a query until Shopify has reported its real cost once
+const DEFAULT_QUERY_COST = 50;
+
+// Last known bucket of each shop, shared by every client in this process:
+// { available, maximum, restoreRate, checkedAt }
+const throttleBuckets = new Map();
+
+// requestedQueryCost of each query text seen so far
+const queryCosts = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function currentlyAvailable(bucket) {
+  const elapsed = (Date.now() - bucket.checkedAt) / 1000;
+  return Math.min(bucket.maximum, bucket.available + elapsed * bucket.restoreRate);
+}
+
+// Waits until the shop's bucket can pay for the query, then reserves the
+// points so concurrent callers do not spend the same budget twice.
+async function reserveBudget(shop, cost) {
+  const bucket = throttleBuckets.get(shop);
+  if (!bucket) return;
+
+  const available = currentlyAvailable(bucket);
+  const needed = Math.min(cost, bucket.maximum);
+
+  if (available < needed) {
+    const waitMs = Math.ceil(((needed - available) / bucket.restoreRate) * 1000);
+    console.log(`Waiting ${waitMs}ms for ${shop} GraphQL budget (${Math.floor(available)}/${needed} points)`);
+    await sleep(waitMs);
+  }
+
+  bucket.available = currentlyAvailable(bucket) - needed;
+  bucket.checkedAt = Date.now();
+}
+
+function recordCost(shop, query, cost) {
+  if (!cost) return;
+
+  if (cost.requestedQueryCost) {
+    queryCosts.set(query, cost.requestedQueryCost);
+  }
+
+  const status = cost.throttleStatus;
+  if (status) {
+    throttleBuckets.set(shop, {
+      available: status.currentlyAvailable,
+      maximum: status.maximumAvailable,
+      restoreRate: status.restoreRate,
+      checkedAt: Date.now(),
+    });
+  }
+}
+
+// HTTP status of a failed call, or null when it has none. HttpResponseError
+// from @shopify/shopify-api is told apart by its `response.code`, so this
+// module does not import the package the Remix adapter brings along.
+function httpStatus(error) {
+  if (error instanceof Response) return error.status;
+  if (typeof error?.response?.code === "number") return error.response.code;
+  return null;
+}
+
+// The wait a 429 asked for, in ms, from its Retry-After header or the
+// `retryAfter` seconds of an HttpThrottlingError
+function retryAfterMs(error) {
+  const seconds = error instanceof Response
+    ? parseFloat(error.headers.get("Retry-After"))
+    : error?.response?.retryAfter;
+
+  return seconds > 0 ? seconds * 1000 : null;
+}
+
+// Works out whether a failed call is worth retrying and how long to wait.
+// admin.graphql throws a GraphqlQueryError for GraphQL errors, a Response
+// for HTTP errors in request contexts and an HttpResponseError otherwise.
+function retryDelay(shop, query, error, attempt) {
+  const backoff = BASE_BACKOFF * 2 ** (attempt - 1);
+
+  const graphQLErrors = error?.body?.errors?.graphQLErrors;
+  if (graphQLErrors?.some((e) => e.extensions?.code === "THROTTLED")) {
+    recordCost(shop, query, error.body.extensions?.cost);
+
+    const bucket = throttleBuckets.get(shop);
+    const cost = queryCosts.get(query) || DEFAULT_QUERY_COST;
+    if (bucket) {
+      const missing = Math.max(0, cost - currentlyAvailable(bucket));
+      return Math.max(BASE_BACKOFF, Math.ceil((missing / bucket.restoreRate) * 1000));
+    }
+    return backoff;
+  }
+
+  const status = httpStatus(error);
+  if (status === 429 || (status >= 500 && status < 600)) {
+    return retryAfterMs(error) ?? backoff;
+  }
+
+  return null;
+}
+
+// Wraps an admin API context so every call is paced by the shop's GraphQL
+// cost budget and THROTTLED or 5xx responses are retried with backoff. The
+// result has the same `graphql(query, options)` signature as `admin`.
+export function createGraphqlClient(admin, shop) {
+  async function graphql(query, options) {
+    for (let attempt = 1; ; attempt++) {
+      await reserveBudget(shop, queryCosts.get(query) || DEFAULT_QUERY_COST);
+
+      try {
+        const response = await admin.graphql(query, options);
+        const text = await response.text();
+
+        recordCost(shop, query, JSON.parse(text).extensions?.cost);
+
+        return new Response(text, {
+          status: response.status,
+          headers: response.headers,
+        });
+      } catch (error) {
+        const delay = attempt < MAX_ATTEMPTS ? retryDelay(shop, query, error, attempt) : null;
+
+        if (delay === null) {
+          throw error;
+        }
+
+        console.warn(`GraphQL call for ${shop} failed (attempt ${attempt}), retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return { graphql };
+}
@@ -1,171 +1,204 @@
-export async function getAllVariantsWithInventory(admin){
-  let allVariants = [];
-  let hasNextPage = true;
-  let cursor = null;
-
-  while (hasNextPage){
-    const query = `query GetVariantsWithInventory($cursor: String){
-        productVariants(first:100, after:$cursor){
-          pageInfo{
-            hasNextPage
-            endCursor
-          }
-          edges{
-            node{
+import { readBulkOperationResult, runBulkQuery } from "./bulkOperations.server";
+
+// Product details kept in the local snapshot with each variant
+const VARIANT_DETAILS = `
+  title
+  sku
+  image {
+    url
+  }
+  product {
+    id
+    title
+    tags
+    featuredMedia {
+      preview {
+        image {
+          url
+        }
+      }
+    }
+  }
+`;
+
+// Variant fields requested by the paged queries. Inventory levels come inline
+// so most variants need no extra round trip; variants stocked at more
+// locations than fit on the first page fetch their levels separately.
+export const VARIANT_INVENTORY_FRAGMENT = `
+  fragment VariantInventory on ProductVariant {
+    id
+    ${VARIANT_DETAILS}
+    inventoryItem {
+      id
+      inventoryLevels(first: 25) {
+        pageInfo {
+          hasNextPage
+        }
+        edges {
+          node {
+            quantities(names: ["available"]) {
+              quantity
+            }
+            location {
               id
-              inventoryItem{
-                id
-                inventoryLevels(first:10){
-                  edges{
-                    node{
-                      location {
-                        id
-                        name
-                      }
-                      available
-                    }
-                  }
-                }
-              }
-              metafield(namespace:"custom", key:"locations"){
-                id
-                value
-              }
+              name
             }
           }
         }
-    }`;
+      }
+    }
+  }
+`;
 
-    const response = await admin.graphql(query, {cursor})
-    const data = await response.json();
+function variantDetails(node) {
+  return {
+    title: node.title ?? null,
+    sku: node.sku || null,
+    imageUrl: node.image?.url || node.product?.featuredMedia?.preview?.image?.url || null,
+    productId: node.product?.id ?? null,
+    productTitle: node.product?.title ?? null,
+    productTags: node.product?.tags ? JSON.stringify(node.product.tags) : null
+  };
+}
 
-    allVariants = [
-      ...allVariants,
-      ...data.data.productVariants.edges.map(edge => edge.node)
-    ]
+// Queries that also select the variant's `metafield` pass on its stored
+// value, so the writer can skip unchanged variants without looking it up
+export function toSyncVariant(node) {
+  const { inventoryLevels } = node.inventoryItem;
 
-    hasNextPage = data.data.productVariants.pageInfo.hasNextPage;
-    cursor = data.data.productVariants.pageInfo.endCursor;
-  }
+  return {
+    id: node.id,
+    ...variantDetails(node),
+    inventoryItem: { id: node.inventoryItem.id },
+    inventoryLevels: inventoryLevels.pageInfo.hasNextPage
+      ? null
+      : inventoryLevels.edges.map(edge => edge.node),
+    previousValue: node.metafield === undefined ? undefined : node.metafield?.value ?? null
+  };
+}
 
-  return allVariants;
+// The variant of an inventory item in the shape of toSyncVariant, or null
+// when the item or its variant no longer exists
+export async function fetchInventoryItemVariant(admin, inventoryItemId) {
+  const response = await admin.graphql(
+    `
+    query GetInventoryItemVariant($id: ID!) {
+      inventoryItem(id: $id) {
+        variant {
+          ...VariantInventory
+        }
+      }
+    }
+    ${VARIANT_INVENTORY_FRAGMENT}
+  `,
+    { variables: { id: inventoryItemId } }
+  );
+
+  const data = await response.json();
+  const variant = data.data.inventoryItem?.variant;
+  return variant ? toSyncVariant(variant) : null;
 }
 
+// Bulk query for the full inventory snapshot: every variant with its product
+// details, its stored locations metafield at `target` and the available
+// quantity and location of each of its inventory levels
+const inventorySnapshotQuery = (target) => `
+  {
+    productVariants {
+      edges {
+        node {
+          id
+          ${VARIANT_DETAILS}
+          metafield(namespace: ${JSON.stringify(target.namespace)}, key: ${JSON.stringify(target.key)}) {
+            value
+          }
+          inventoryItem {
+            id
+            inventoryLevels {
+              edges {
+                node {
+                  quantities(names: ["available"]) {
+                    quantity
+                  }
+                  location {
+                    id
+                    name
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+export async function startInventorySnapshot(admin, target) {
+  return runBulkQuery(admin, inventorySnapshotQuery(target));
+}
 
-export async function bulkInventoryMetafields(admin){
-  const variants = await getAllVariantsWithInventory(admin);
+// Reads the result file of a finished snapshot and yields its variants one
+// at a time, in file order. Inventory levels come as their own JSONL lines
+// after their variant and point to it through __parentId, so a variant is
+// complete once the next one starts.
+export async function* readInventorySnapshot(url) {
+  let variant = null;
 
-  for (let variant of variants){
-    if (!variant.inventoryItem) continue;
-    const inventoryLevels = variant.inventoryItem.inventoryLevels.edges.map(edge => edge.node);
+  // Operations that matched no objects have no result file
+  if (!url) return;
 
-    const inventoryData = {
-      locations:inventoryLevels.map(level => ({
-        id:level.location.id,
-        name:level.location.name,
-        available:level.available,
-        updatedAt:new Date().toISOString()
-      }))
+  for await (const record of readBulkOperationResult(url)) {
+    if (record.__parentId) {
+      if (variant?.id === record.__parentId) {
+        variant.inventoryLevels.push(record);
+      } else {
+        console.warn(`Skipping inventory level of ${record.__parentId}, which does not follow its variant`);
+      }
+      continue;
     }
 
-    await admin.graphql(`
-      mutation UpdateMetafield($input:MetafieldInput!){
-        metafieldSet(input: $input){
-          metafield { id }
-          userErrors{ field message }
-        }
-      }
-    `,
-      {
-        variables:{
-          input:{
-            ownerId: variant.id,
-            namespace: "custom",
-            key: "locations",
-            type: "json",
-            value: JSON.stringify(inventoryData)
-          }
-        }
-      })
+    if (variant) yield variant;
+
+    // Snapshots started before the metafield was part of the query leave
+    // the previous value to be looked up when writing
+    variant = {
+      id: record.id,
+      ...variantDetails(record),
+      inventoryItem: { id: record.inventoryItem.id },
+      inventoryLevels: [],
+      previousValue: record.metafield === undefined ? undefined : record.metafield?.value ?? null
+    };
   }
 
+  if (variant) yield variant;
 }
 
-// export async function updateVariantMetafield(shop, inventoryItemId, locationId, newQuantity) {
-//   const admin = await shopify.api.admin.createClient(shop);
-//
-//   // Step 1: Get the variant using inventoryItemId
-//   const variantRes = await admin.graphql(`
-//     query {
-//       productVariants(first: 1, query: "inventory_item_id:${inventoryItemId}") {
-//         edges {
-//           node {
-//             id
-//             title
-//             metafield(namespace: "custom", key: "locations") {
-//               id
-//               value
-//             }
-//           }
-//         }
-//       }
-//     }
-//   `);
-//
-//   const variantData = await variantRes.json();
-//   const variant = variantData.data.productVariants.edges[0]?.node;
-//
-//   if (!variant) return;
-//
-//   let updatedLocations = [];
-//
-//   try {
-//     const existing = variant.metafield?.value
-//       ? JSON.parse(variant.metafield.value)
-//       : { locations: [] };
-//
-//     updatedLocations = existing.locations.map(loc =>
-//       loc.location === locationId ? { ...loc, quantity: newQuantity } : loc
-//     );
-//
-//     const found = updatedLocations.find(loc => loc.location === locationId);
-//     if (!found) {
-//       updatedLocations.push({ location: locationId, quantity: newQuantity });
-//     }
-//
-//   } catch (e) {
-//     updatedLocations = [{ location: locationId, quantity: newQuantity }];
-//   }
-//
-//   // Step 2: Update metafield
-//   await admin.graphql(
-//     `
-//     mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
-//       metafieldsSet(metafields: $metafields) {
-//         metafields {
-//           id
-//           key
-//           value
-//         }
-//         userErrors {
-//           field
-//           message
-//         }
-//       }
-//     }
-//     `,
-//     {
-//       variables: {
-//         metafields: [
-//           {
-//             ownerId: variant.id,
-//             namespace: "custom",
-//             key: "locations",
-//             type: "json",
-//             value: JSON.stringify({ locations: updatedLocations })
-//           }
-//         ]
-//       }
-//     }
-//   );
-// }
+export async function fetchInventoryLevels(admin, inventoryItemId) {
+  const inventoryQuery = `
+    query InventoryLevels($inventoryItemId: ID!) {
+      inventoryItem(id: $inventoryItemId) {
+        inventoryLevels(first: 100) {
+          edges {
+            node {
+              quantities(names: ["available"]) {
+                quantity
+              }
+              location {
+                id
+                name
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const inventoryResponse = await admin.graphql(inventoryQuery, {
+    variables: { inventoryItemId }
+  });
+  const inventoryData = await inventoryResponse.json();
+
+  return inventoryData.data.inventoryItem.inventoryLevels.edges.map(edge => edge.node);
+}
@@ -0,0 +1,317 @@
+import { randomUUID } from "node:crypto";
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { createGraphqlClient } from "./graphqlClient.server";
+import { fetchInventoryItemVariant, fetchInventoryLevels } from "./inventory";
+import {
+  applyLevelEvents,
+  buildSnapshotPayloads,
+  findSnapshotVariantByItem,
+  storeVariants
+} from "./inventorySnapshot.server";
+import { loadLocationRules } from "./locations.server";
+import { checkStockAlerts } from "./alertChannels.server";
+import { writeLocationMetafields } from "./metafieldWriter.server";
+import { sweepLocationChanges } from "./locationChanges.server";
+import { getMetafieldTarget, getShopSettings } from "./settings.server";
+import { recordWebhookRun } from "./syncJobs.server";
+import { pruneWebhookDeliveries } from "./webhookDeliveries.server";
+
+// Configuration
+const DRAIN_DELAY = 2000; // Wait a little so a burst of deliveries is drained together
+const DRAIN_BATCH_SIZE = 250; // Events claimed per round
+const MAX_ATTEMPTS = 5; // After this many failures an event is left as failed
+const RETRY_DELAY_MS = 30 * 1000; // Failed events wait this long before the next attempt
+const STUCK_EVENT_MS = 5 * 60 * 1000; // Claimed events older than this are released again
+const DONE_RETENTION_MS = 24 * 60 * 60 * 1000;
+const WORKER_INTERVAL = 60 * 1000;
+
+const drainTimers = new Map();
+const drainingShops = new Set();
+
+// Stores an inventory_levels/update or /connect payload for the worker. A
+// /disconnect payload is stored with `kind` "disconnect", which removes the
+// location's entry instead.
+export async function enqueueInventoryUpdate(shop, webhookId, payload, kind = "update") {
+  const { inventory_item_id, location_id, available, updated_at } = payload;
+
+  await db.inventoryEvent.create({
+    data: {
+      shop,
+      webhookId,
+      inventoryItemId: String(inventory_item_id),
+      locationId: String(location_id),
+      kind,
+      available: parseInt(available, 10) || 0,
+      // Deliveries can arrive out of order; updated_at says when the level changed
+      changedAt: updated_at ? new Date(updated_at) : new Date(),
+    },
+  });
+}
+
+// Drops the queued events of a deleted inventory item. Its variant, and the
+// metafield with it, is gone, so they could only fail.
+export async function discardInventoryItemEvents(shop, inventoryItemId) {
+  const { count } = await db.inventoryEvent.deleteMany({
+    where: { shop, inventoryItemId: String(inventoryItemId), status: "pending" },
+  });
+
+  if (count > 0) {
+    console.log(`Dropped ${count} queued events of deleted inventory item ${inventoryItemId}`);
+  }
+}
+
+// Drains the shop's queue shortly after the last call, so every event of a
+// burst is handled by the same drain
+export function scheduleInventoryQueueDrain(shop) {
+  clearTimeout(drainTimers.get(shop));
+
+  drainTimers.set(
+    shop,
+    setTimeout(() => {
+      drainTimers.delete(shop);
+      drainInventoryQueue(shop).catch((error) => {
+        console.error(`Draining inventory queue for ${shop} failed:`, error);
+      });
+    }, DRAIN_DELAY)
+  );
+}
+
+// Marks a round of pending events as processing. The claim token makes sure
+// two instances never work on the same events.
+async function claimEvents(shop) {
+  const pending = await db.inventoryEvent.findMany({
+    where: {
+      shop,
+      status: "pending",
+      OR: [
+        { claimedAt: null },
+        { claimedAt: { lt: new Date(Date.now() - RETRY_DELAY_MS) } },
+      ],
+    },
+    orderBy: { changedAt: "asc" },
+    take: DRAIN_BATCH_SIZE,
+    select: { id: true },
+  });
+
+  if (pending.length === 0) return [];
+
+  const claimToken = randomUUID();
+  await db.inventoryEvent.updateMany({
+    where: { id: { in: pending.map((event) => event.id) }, status: "pending" },
+    data: {
+      status: "processing",
+      claimToken,
+      claimedAt: new Date(),
+      attempts: { increment: 1 },
+    },
+  });
+
+  return db.inventoryEvent.findMany({ where: { claimToken } });
+}
+
+// Applies the queued events of one inventory item to the local snapshot and
+// builds the variant's metafield value from it. Returns `variantId: null`
+// when the item no longer has a variant.
+async function buildItemPayload(admin, rules, inventoryItemId, events) {
+  const { shop } = rules.settings;
+  const inventoryItemGid = `gid://shopify/InventoryItem/${inventoryItemId}`;
+  let variant = await findSnapshotVariantByItem(shop, inventoryItemGid);
+
+  // Step 1: A variant the snapshot does not know yet is read from Shopify.
+  // Its levels already include every queued change.
+  if (!variant) {
+    const readAt = new Date();
+    const fetched = await fetchInventoryItemVariant(admin, inventoryItemGid);
+
+    // The item or its product was deleted after the events were queued, and
+    // the metafield went with the variant
+    if (!fetched) {
+      console.log(`Inventory item ${inventoryItemId} no longer has a variant, dropping its events`);
+      return { variantId: null, value: null };
+    }
+
+    console.log(`Variant ${fetched.id} is not in the snapshot yet, fetching all of its inventory levels.`);
+    const inventoryLevels = fetched.inventoryLevels || await fetchInventoryLevels(admin, inventoryItemGid);
+    await storeVariants(shop, [{ ...fetched, inventoryLevels }], readAt);
+    variant = await findSnapshotVariantByItem(shop, inventoryItemGid);
+  } else {
+    // Step 2: Otherwise the events update its stored levels. Events older
+    // than a level are skipped, so a late delivery cannot overwrite a newer
+    // quantity.
+    await applyLevelEvents(shop, variant.id, events);
+  }
+
+  // Step 3: Build the value from the snapshot. Location rules may have
+  // changed since the value was written, so they are applied to all of it.
+  const values = await buildSnapshotPayloads(shop, [variant.id], rules);
+
+  return {
+    variantId: variant.id,
+    value: values.get(variant.id),
+    // What the app last wrote saves looking the value up
+    previousValue: variant.metafieldSyncedAt ? variant.metafieldValue : undefined
+  };
+}
+
+async function completeEvents(events) {
+  await db.inventoryEvent.updateMany({
+    where: { id: { in: events.map((event) => event.id) } },
+    data: { status: "done", processedAt: new Date(), lastError: null },
+  });
+}
+
+// Failed events go back to the queue until they run out of attempts
+async function failEvents(events, message) {
+  for (const event of events) {
+    await db.inventoryEvent.update({
+      where: { id: event.id },
+      data: {
+        status: event.attempts >= MAX_ATTEMPTS ? "failed" : "pending",
+        lastError: message,
+        claimToken: null,
+      },
+    });
+  }
+}
+
+// Applies one claimed round: every inventory item gets a single metafield
+// write, however many events were queued for it. Returns the number of items
+// and their errors in the shape of sync job errors.
+async function processEvents(admin, rules, events) {
+  const eventsByItem = new Map();
+  events.forEach((event) => {
+    eventsByItem.set(event.inventoryItemId, [...(eventsByItem.get(event.inventoryItemId) || []), event]);
+  });
+
+  const writes = [];
+  const errors = [];
+  for (const [inventoryItemId, itemEvents] of eventsByItem) {
+    try {
+      const { variantId, value, previousValue } = await buildItemPayload(admin, rules, inventoryItemId, itemEvents);
+
+      if (variantId) {
+        writes.push({ ownerId: variantId, value, previousValue, events: itemEvents });
+      } else {
+        await completeEvents(itemEvents);
+      }
+    } catch (error) {
+      console.error(`Failed to process inventory item ${inventoryItemId}:`, error);
+      await failEvents(itemEvents, error.message);
+      errors.push({ error: `Inventory item ${inventoryItemId}: ${error.message}`, type: "apiError" });
+    }
+  }
+
+  const results = await writeLocationMetafields(
+    admin,
+    writes,
+    getMetafieldTarget(rules.settings),
+    { shop: rules.settings.shop, source: "webhook" },
+    { skipUnchanged: true }
+  );
+
+  for (const [index, result] of results.entries()) {
+    const write = writes[index];
+
+    if (result.success) {
+      console.log(result.outcome === "skipped"
+        ? `Inventory metafield of variant ${write.ownerId} is unchanged`
+        : `Successfully updated inventory metafield for variant ${write.ownerId}`);
+      await completeEvents(write.events);
+    } else {
+      const message = result.error || result.errors.map((e) => e.message).join(", ");
+      console.error("Metafield update failed:", write.ownerId, message);
+      await failEvents(write.events, message);
+      errors.push(result.type === "userError"
+        ? { variantId: write.ownerId, errors: result.errors, type: "userError" }
+        : { variantId: write.ownerId, error: result.error, type: "apiError" });
+    }
+  }
+
+  await checkStockAlerts(rules.settings.shop, writes.map((write) => write.ownerId));
+
+  return { items: eventsByItem.size, errors };
+}
+
+export async function drainInventoryQueue(shop) {
+  // Events arriving during a drain are picked up by a drain after this one
+  if (drainingShops.has(shop)) {
+    scheduleInventoryQueueDrain(shop);
+    return;
+  }
+
+  drainingShops.add(shop);
+  const startedAt = new Date();
+  let items = 0;
+  const errors = [];
+
+  try {
+    const { admin } = await unauthenticated.admin(shop);
+    const client = createGraphqlClient(admin, shop);
+    const rules = await loadLocationRules(client, await getShopSettings(shop));
+
+    while (true) {
+      const events = await claimEvents(shop);
+      if (events.length === 0) break;
+
+      console.log(`Processing ${events.length} queued inventory events for ${shop}`);
+      const round = await processEvents(client, rules, events);
+      items += round.items;
+      errors.push(...round.errors);
+    }
+
+    // Each drain shows up in the sync history as one webhook run
+    if (items > 0) {
+      await recordWebhookRun(shop, { startedAt, processedVariants: items, errors });
+    }
+  } finally {
+    drainingShops.delete(shop);
+  }
+}
+
+// Picks up events left behind by a restart or a crashed instance and clears
+// out old processed events, then does the same for location changes. Old
+// webhook delivery ids are cleared out here too.
+async function sweepInventoryQueue() {
+  await db.inventoryEvent.updateMany({
+    where: {
+      status: "processing",
+      claimedAt: { lt: new Date(Date.now() - STUCK_EVENT_MS) },
+    },
+    data: { status: "pending", claimToken: null },
+  });
+
+  await db.inventoryEvent.deleteMany({
+    where: {
+      status: "done",
+      processedAt: { lt: new Date(Date.now() - DONE_RETENTION_MS) },
+    },
+  });
+
+  const shops = await db.inventoryEvent.findMany({
+    where: { status: "pending" },
+    distinct: ["shop"],
+    select: { shop: true },
+  });
+
+  for (const { shop } of shops) {
+    await drainInventoryQueue(shop).catch((error) => {
+      console.error(`Draining inventory queue for ${shop} failed:`, error);
+    });
+  }
+
+  await sweepLocationChanges();
+  await pruneWebhookDeliveries();
+}
+
+export function startInventoryQueueWorker() {
+  // Module reloads in development must not start a second interval
+  if (global.inventoryQueueWorker) return;
+
+  global.inventoryQueueWorker = setInterval(() => {
+    sweepInventoryQueue().catch((error) => {
+      console.error("Inventory queue sweep failed:", error);
+    });
+  }, WORKER_INTERVAL);
+  global.inventoryQueueWorker.unref?.();
+}
@@ -0,0 +1,395 @@
+import db from "../db.server";
+import { applyLocationRules } from "./locations.server";
+import { buildLocationsPayload, toLocationId } from "./locationPayload.server";
+
+// The app's local copy of the shop's inventory: its locations, its variants
+// with their product details, and one InventoryLevel per variant and
+// location. Syncs store what they read, the inventory queue applies webhook
+// events to it, and metafield values are built from it. Variant and
+// inventory item ids are GIDs; location ids are the numeric ids the
+// metafield uses.
+
+// Stores the shop's locations as fetchShopLocations returns them. Locations
+// missing from the list are kept with their levels: only removeLocations,
+// for a locations/delete webhook, drops them.
+export async function storeLocations(shop, locations) {
+  await db.$transaction(locations.map((location) => {
+    const data = {
+      name: location.name,
+      isActive: location.isActive,
+      pickupEnabled: location.pickupEnabled,
+    };
+    return db.location.upsert({
+      where: { shop_id: { shop, id: location.id } },
+      create: { shop, id: location.id, ...data },
+      update: data,
+    });
+  }));
+}
+
+// Removes deleted locations and their levels
+export async function removeLocations(shop, locationIds) {
+  const ids = locationIds.map(String);
+
+  await db.$transaction([
+    db.inventoryLevel.deleteMany({ where: { shop, locationId: { in: ids } } }),
+    db.location.deleteMany({ where: { shop, id: { in: ids } } }),
+  ]);
+}
+
+// Locations by id, in the shape the location rules use
+export async function getSnapshotLocations(shop) {
+  const locations = await db.location.findMany({ where: { shop } });
+  return new Map(locations.map((location) => [location.id, location]));
+}
+
+// Stores variants read from Shopify, in the shape of toSyncVariant with their
+// inventory levels loaded (see inventory.jsx). Their levels replace the
+// stored ones as of `readAt`, the time Shopify reported them: levels changed
+// after it (by a webhook applied while a bulk result was processed, say) are
+// newer than what was read and are kept.
+export async function storeVariants(shop, variants, readAt = new Date()) {
+  if (variants.length === 0) return;
+
+  await db.$transaction(async (tx) => {
+    const newer = await tx.inventoryLevel.findMany({
+      where: { shop, variantId: { in: variants.map((variant) => variant.id) }, changedAt: { gt: readAt } },
+      select: { variantId: true, locationId: true },
+    });
+    const newerKeys = new Set(newer.map((level) => `${level.variantId} ${level.locationId}`));
+
+    for (const variant of variants) {
+      const data = {
+        inventoryItemId: variant.inventoryItem.id,
+        productId: variant.productId,
+        productTitle: variant.productTitle,
+        productTags: variant.productTags,
+        title: variant.title,
+        sku: variant.sku,
+        imageUrl: variant.imageUrl,
+      };
+      const levels = variant.inventoryLevels.map((level) => ({
+        locationId: String(toLocationId(level.location.id)),
+        available: level.quantities[0]?.quantity || 0,
+      }));
+
+      await tx.variant.upsert({
+        where: { shop_id: { shop, id: variant.id } },
+        create: { shop, id: variant.id, ...data },
+        update: data,
+      });
+      await tx.inventoryLevel.deleteMany({
+        where: {
+          shop,
+          variantId: variant.id,
+          locationId: { notIn: levels.map((level) => level.locationId) },
+          changedAt: { lte: readAt },
+        },
+      });
+
+      for (const level of levels) {
+        if (newerKeys.has(`${variant.id} ${level.locationId}`)) continue;
+
+        await tx.inventoryLevel.upsert({
+          where: {
+            shop_variantId_locationId: { shop, variantId: variant.id, locationId: level.locationId },
+          },
+          create: { shop, variantId: variant.id, ...level, changedAt: readAt },
+          update: { available: level.available, changedAt: readAt },
+        });
+      }
+    }
+  });
+}
+
+export async function findSnapshotVariantByItem(shop, inventoryItemId) {
+  return db.variant.findFirst({ where: { shop, inventoryItemId } });
+}
+
+// Applies queued inventory events (`{ locationId, kind, available, changedAt }`,
+// see inventoryQueue.server.js) to one variant's levels. Only the latest
+// event per location counts, and only when it is newer than the stored level,
+// so a late delivery cannot overwrite a newer quantity. Returns the number of
+// levels changed.
+export async function applyLevelEvents(shop, variantId, events) {
+  const latestByLocation = new Map();
+  events.forEach((event) => {
+    const latest = latestByLocation.get(event.locationId);
+    if (!latest || latest.changedAt < event.changedAt) {
+      latestByLocation.set(event.locationId, event);
+    }
+  });
+
+  const stored = await db.inventoryLevel.findMany({
+    where: { shop, variantId, locationId: { in: [...latestByLocation.keys()] } },
+  });
+  const storedByLocation = new Map(stored.map((level) => [level.locationId, level]));
+
+  const operations = [];
+  latestByLocation.forEach((event, locationId) => {
+    const level = storedByLocation.get(locationId);
+    const key = { shop_variantId_locationId: { shop, variantId, locationId } };
+
+    if (level && level.changedAt >= event.changedAt) {
+      console.log(`Skipping stale update for location ${locationId}: ${event.changedAt.toISOString()} is not newer than ${level.changedAt.toISOString()}`);
+      return;
+    }
+
+    // A disconnected level no longer stocks the item at the location
+    if (event.kind === "disconnect") {
+      if (level) operations.push(db.inventoryLevel.delete({ where: key }));
+      return;
+    }
+
+    operations.push(db.inventoryLevel.upsert({
+      where: key,
+      create: { shop, variantId, locationId, available: event.available, changedAt: event.changedAt },
+      update: { available: event.available, changedAt: event.changedAt },
+    }));
+  });
+
+  if (operations.length > 0) {
+    await db.$transaction(operations);
+  }
+
+  return operations.length;
+}
+
+// Variants stocked at any of the given locations, or whose stored metafield
+// value still lists one of them. Stored values are matched on the text of
+// their entries, which start with the id (see locationPayload.server.js).
+export async function findVariantsAtLocations(shop, locationIds) {
+  const ids = locationIds.map(String);
+  const [levels, variants] = await Promise.all([
+    db.inventoryLevel.findMany({
+      where: { shop, locationId: { in: ids } },
+      distinct: ["variantId"],
+      select: { variantId: true },
+    }),
+    db.variant.findMany({
+      where: { shop, OR: ids.map((id) => ({ metafieldValue: { contains: `{"id":${id},` } })) },
+      select: { id: true },
+    }),
+  ]);
+
+  return [...new Set([...levels.map((level) => level.variantId), ...variants.map((variant) => variant.id)])];
+}
+
+// Location entries of the given variants from their stored levels, before
+// any location rules
+async function snapshotEntries(shop, variantIds) {
+  const [levels, locations] = await Promise.all([
+    db.inventoryLevel.findMany({ where: { shop, variantId: { in: variantIds } } }),
+    getSnapshotLocations(shop),
+  ]);
+
+  const entries = new Map(variantIds.map((variantId) => [variantId, []]));
+  levels.forEach((level) => {
+    entries.get(level.variantId).push({
+      id: toLocationId(level.locationId),
+      name: locations.get(level.locationId)?.name || `Location ${level.locationId}`,
+      available: level.available,
+      updatedAt: level.changedAt,
+    });
+  });
+
+  return entries;
+}
+
+// Builds the locations metafield value of the given variants from the
+// snapshot. Returns a Map of variant id to payload.
+export async function buildSnapshotPayloads(shop, variantIds, rules) {
+  const entries = await snapshotEntries(shop, variantIds);
+  const payloads = new Map();
+
+  entries.forEach((locations, variantId) => {
+    payloads.set(variantId, buildLocationsPayload(applyLocationRules(locations, rules)));
+  });
+
+  return payloads;
+}
+
+// Remembers what the metafield of each variant now holds. `entries` are
+// `{ ownerId, value }` pairs with `value` a locations payload.
+export async function markMetafieldsSynced(shop, entries) {
+  if (entries.length === 0) return;
+
+  const syncedAt = new Date();
+  await db.$transaction(entries.map((entry) => db.variant.updateMany({
+    where: { shop, id: entry.ownerId },
+    data: { metafieldValue: JSON.stringify(entry.value), metafieldSyncedAt: syncedAt },
+  })));
+}
+
+// The stored metafield value of each variant, for the writer's previousValue.
+// Variants the snapshot does not know, or whose value it has not seen, are
+// left out.
+export async function getStoredMetafieldValues(shop, variantIds) {
+  const variants = await db.variant.findMany({
+    where: { shop, id: { in: variantIds }, metafieldSyncedAt: { not: null } },
+    select: { id: true, metafieldValue: true },
+  });
+
+  return new Map(variants.map((variant) => [variant.id, variant.metafieldValue]));
+}
+
+// Per-location availability of the given variants for the storefront, with
+// the shop's location rules applied. Returns the variants found and the ids
+// the snapshot does not have yet.
+export async function getSnapshotAvailability(shop, settings, variantIds, { locationIds = [] } = {}) {
+  const known = await db.variant.findMany({
+    where: { shop, id: { in: variantIds } },
+    select: { id: true, updatedAt: true },
+  });
+  const knownIds = known.map((variant) => variant.id);
+
+  const rules = { settings, locations: await getSnapshotLocations(shop) };
+  const entries = await snapshotEntries(shop, knownIds);
+  const locationFilter = new Set(locationIds.map((id) => toLocationId(id)));
+
+  return {
+    variants: known.map((variant) => {
+      const { locations } = buildLocationsPayload(applyLocationRules(entries.get(variant.id), rules));
+
+      return {
+        id: variant.id,
+        locations: locationFilter.size > 0
+          ? locations.filter((location) => locationFilter.has(location.id))
+          : locations,
+        updatedAt: variant.updatedAt,
+      };
+    }),
+    missing: variantIds.filter((id) => !knownIds.includes(id)),
+  };
+}
+
+export async function removeInventoryItem(shop, inventoryItemId) {
+  await db.variant.deleteMany({ where: { shop, inventoryItemId } });
+}
+
+// Removes the variants of a deleted product. Returns the GIDs of their
+// inventory items.
+export async function removeProduct(shop, productId) {
+  const variants = await db.variant.findMany({
+    where: { shop, productId },
+    select: { inventoryItemId: true },
+  });
+
+  await db.variant.deleteMany({ where: { shop, productId } });
+  return variants.map((variant) => variant.inventoryItemId);
+}
+
+export async function clearSnapshot(shop) {
+  await db.$transaction([
+    db.inventoryLevel.deleteMany({ where: { shop } }),
+    db.variant.deleteMany({ where: { shop } }),
+    db.location.deleteMany({ where: { shop } }),
+  ]);
+}
+
+// Variants per page of the inventory dashboard
+export const INVENTORY_PAGE_SIZE = 50;
+
+// Whether the metafield of a snapshot variant holds its latest levels:
+// "synced", "pending" when a level changed after the last write, or
+// "unwritten" when the app never wrote or checked it
+function metafieldStatus(variant, lastChangedAt) {
+  if (!variant.metafieldSyncedAt) return "unwritten";
+  return lastChangedAt && lastChangedAt > variant.metafieldSyncedAt ? "pending" : "synced";
+}
+
+// One page of the inventory dashboard from the snapshot. `filter` has
+// `query` (product title, variant title or SKU), `stock` ("out" or "low",
+// at `locationId` or any location), `threshold` for low stock, `sort`
+// ("product", "sku", "synced" or "location") with `direction`, and `page`.
+// Sorting by a location's quantity leaves out variants it does not stock.
+export async function getInventoryPage(shop, filter) {
+  const { query, stock, locationId, threshold, sort, direction, page } = filter;
+  const order = direction === "desc" ? "desc" : "asc";
+
+  const where = { shop };
+  if (query) {
+    where.OR = [
+      { productTitle: { contains: query } },
+      { title: { contains: query } },
+      { sku: { contains: query } },
+    ];
+  }
+  if (stock === "out" || stock === "low") {
+    where.levels = {
+      some: {
+        ...(locationId ? { locationId } : {}),
+        available: stock === "out" ? { lte: 0 } : { gt: 0, lte: threshold },
+      },
+    };
+  }
+
+  const skip = (page - 1) * INVENTORY_PAGE_SIZE;
+  let total;
+  let variantIds;
+
+  if (sort === "location" && locationId) {
+    const levelWhere = { shop, locationId, variant: where };
+    const [count, levels] = await Promise.all([
+      db.inventoryLevel.count({ where: levelWhere }),
+      db.inventoryLevel.findMany({
+        where: levelWhere,
+        orderBy: [{ available: order }, { variantId: "asc" }],
+        skip,
+        take: INVENTORY_PAGE_SIZE,
+        select: { variantId: true },
+      }),
+    ]);
+    total = count;
+    variantIds = levels.map((level) => level.variantId);
+  } else {
+    const orderBy = {
+      sku: [{ sku: order }],
+      synced: [{ metafieldSyncedAt: order }],
+    }[sort] || [{ productTitle: order }, { title: order }];
+
+    const [count, variants] = await Promise.all([
+      db.variant.count({ where }),
+      db.variant.findMany({
+        where,
+        orderBy: [...orderBy, { id: "asc" }],
+        skip,
+        take: INVENTORY_PAGE_SIZE,
+        select: { id: true },
+      }),
+    ]);
+    total = count;
+    variantIds = variants.map((variant) => variant.id);
+  }
+
+  const variants = await db.variant.findMany({
+    where: { shop, id: { in: variantIds } },
+    include: { levels: true },
+  });
+  const byId = new Map(variants.map((variant) => [variant.id, variant]));
+
+  return {
+    total,
+    pageCount: Math.max(1, Math.ceil(total / INVENTORY_PAGE_SIZE)),
+    variants: variantIds.map((id) => byId.get(id)).filter(Boolean).map((variant) => {
+      const lastChangedAt = variant.levels.reduce(
+        (latest, level) => (!latest || level.changedAt > latest ? level.changedAt : latest),
+        null
+      );
+
+      return {
+        id: variant.id,
+        productId: variant.productId,
+        productTitle: variant.productTitle,
+        productTags: variant.productTags,
+        title: variant.title,
+        sku: variant.sku,
+        imageUrl: variant.imageUrl,
+        levels: Object.fromEntries(variant.levels.map((level) => [level.locationId, level.available])),
+        lastChangedAt,
+        metafieldSyncedAt: variant.metafieldSyncedAt,
+        metafieldStatus: metafieldStatus(variant, lastChangedAt),
+      };
+    }),
+  };
+}
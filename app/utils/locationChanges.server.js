@@ -0,0 +1,169 @@
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { createGraphqlClient } from "./graphqlClient.server";
+import {
+  buildSnapshotPayloads,
+  findVariantsAtLocations,
+  getStoredMetafieldValues,
+  removeLocations
+} from "./inventorySnapshot.server";
+import { loadLocationRules } from "./locations.server";
+import { writeLocationMetafields } from "./metafieldWriter.server";
+import { getMetafieldTarget, getShopSettings } from "./settings.server";
+import { recordWebhookRun } from "./syncJobs.server";
+
+// Renamed, deactivated and deleted locations. The locations/update and
+// locations/delete webhooks queue a LocationChange; applying it rewrites the
+// variants the local snapshot has at the location, from the snapshot.
+
+// Configuration
+const APPLY_DELAY = 5000; // Changes of one edit session are applied together
+const PAGE_SIZE = 250; // Variants built from the snapshot at a time
+const MAX_ATTEMPTS = 5;
+const STUCK_CHANGE_MS = 30 * 60 * 1000; // Passes over large catalogs take a while
+const DONE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const applyTimers = new Map();
+const applyingShops = new Set();
+
+export async function enqueueLocationChange(shop, webhookId, { locationId, deleted }) {
+  await db.locationChange.create({
+    data: { shop, webhookId, locationId: String(locationId), deleted },
+  });
+}
+
+export function scheduleLocationChanges(shop) {
+  clearTimeout(applyTimers.get(shop));
+
+  applyTimers.set(
+    shop,
+    setTimeout(() => {
+      applyTimers.delete(shop);
+      applyLocationChanges(shop).catch((error) => {
+        console.error(`Applying location changes for ${shop} failed:`, error);
+      });
+    }, APPLY_DELAY)
+  );
+}
+
+// Rewrites the given variants from the snapshot, which holds the current
+// location names and no levels of deleted locations. Returns the number of
+// variants written and their errors in the shape of sync job errors.
+async function rewriteVariants(admin, rules, variantIds) {
+  const { shop } = rules.settings;
+  const target = getMetafieldTarget(rules.settings);
+  const audit = { shop, source: "webhook" };
+  let written = 0;
+  const errors = [];
+
+  for (let offset = 0; offset < variantIds.length; offset += PAGE_SIZE) {
+    const ids = variantIds.slice(offset, offset + PAGE_SIZE);
+    const [payloads, storedValues] = await Promise.all([
+      buildSnapshotPayloads(shop, ids, rules),
+      getStoredMetafieldValues(shop, ids),
+    ]);
+
+    const results = await writeLocationMetafields(
+      admin,
+      ids.map((id) => ({ ownerId: id, value: payloads.get(id), previousValue: storedValues.get(id) })),
+      target,
+      audit,
+      { skipUnchanged: true }
+    );
+
+    results.forEach((result) => {
+      if (result.success) {
+        if (result.outcome !== "skipped") written++;
+      } else {
+        errors.push(result.type === "userError"
+          ? { variantId: result.ownerId, errors: result.errors, type: "userError" }
+          : { variantId: result.ownerId, error: result.error, type: "apiError" });
+      }
+    });
+  }
+
+  return { written, errors };
+}
+
+// Applies every pending change of the shop in one pass
+export async function applyLocationChanges(shop) {
+  // Changes queued during a pass are applied by a pass after this one
+  if (applyingShops.has(shop)) {
+    scheduleLocationChanges(shop);
+    return;
+  }
+
+  applyingShops.add(shop);
+  const startedAt = new Date();
+
+  try {
+    const changes = await db.locationChange.findMany({ where: { shop, status: "pending" } });
+    if (changes.length === 0) return;
+
+    await db.locationChange.updateMany({
+      where: { id: { in: changes.map((change) => change.id) } },
+      data: { status: "processing", claimedAt: new Date(), attempts: { increment: 1 } },
+    });
+
+    try {
+      const { admin } = await unauthenticated.admin(shop);
+      const client = createGraphqlClient(admin, shop);
+
+      // The affected variants are looked up before the levels of deleted
+      // locations are dropped from the snapshot
+      const variantIds = await findVariantsAtLocations(shop, changes.map((change) => change.locationId));
+      await removeLocations(shop, changes.filter((change) => change.deleted).map((change) => change.locationId));
+      const rules = await loadLocationRules(client, await getShopSettings(shop));
+
+      console.log(`Applying ${changes.length} location changes to ${variantIds.length} variants for ${shop}`);
+      const { written, errors } = await rewriteVariants(client, rules, variantIds);
+
+      await db.locationChange.updateMany({
+        where: { id: { in: changes.map((change) => change.id) } },
+        data: { status: "done", processedAt: new Date(), lastError: null },
+      });
+
+      if (written > 0 || errors.length > 0) {
+        await recordWebhookRun(shop, { startedAt, processedVariants: written, errors });
+      }
+    } catch (error) {
+      for (const change of changes) {
+        await db.locationChange.update({
+          where: { id: change.id },
+          data: {
+            status: change.attempts + 1 >= MAX_ATTEMPTS ? "failed" : "pending",
+            lastError: error.message,
+          },
+        });
+      }
+      throw error;
+    }
+  } finally {
+    applyingShops.delete(shop);
+  }
+}
+
+// Called by the inventory queue worker: retries pending changes, releases
+// ones left processing by a restart and clears out old applied ones
+export async function sweepLocationChanges() {
+  await db.locationChange.updateMany({
+    where: { status: "processing", claimedAt: { lt: new Date(Date.now() - STUCK_CHANGE_MS) } },
+    data: { status: "pending" },
+  });
+
+  await db.locationChange.deleteMany({
+    where: { status: "done", processedAt: { lt: new Date(Date.now() - DONE_RETENTION_MS) } },
+  });
+
+  const shops = await db.locationChange.findMany({
+    where: { status: "pending" },
+    distinct: ["shop"],
+    select: { shop: true },
+  });
+
+  for (const { shop } of shops) {
+    await applyLocationChanges(shop).catch((error) => {
+      console.error(`Applying location changes for ${shop} failed:`, error);
+    });
+  }
+}
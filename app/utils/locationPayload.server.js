@@ -0,0 +1,147 @@
+// The value of the locations metafield. Every path that writes or reads it
+// goes through this module, so storefront code can rely on one shape:
+//
+//   {
+//     "version": 2,
+//     "locations": [
+//       { "id": 123, "name": "Warehouse", "available": 4, "updatedAt": "2025-06-01T10:00:00.000Z" }
+//     ]
+//   }
+//
+// `id` is always the numeric location id. Entries are unique per location and
+// sorted by id. Version 1 is the unversioned value written before, whose ids
+// could be numbers, numeric strings or Location GIDs.
+export const PAYLOAD_VERSION = 2;
+
+// Numeric id of a location given as a number, numeric string or GID. Returns
+// null for anything else.
+export function toLocationId(value) {
+  const id = Number(String(value ?? "").split("/").pop());
+  return Number.isSafeInteger(id) && id > 0 ? id : null;
+}
+
+function toEntry(location) {
+  return {
+    id: toLocationId(location.id),
+    name: String(location.name ?? ""),
+    available: parseInt(location.available, 10) || 0,
+    updatedAt: new Date(location.updatedAt).toISOString(),
+  };
+}
+
+// Builds a payload from location entries. A location listed more than once
+// keeps its most recent entry.
+export function buildLocationsPayload(locations) {
+  const byId = new Map();
+
+  locations.forEach((location) => {
+    const entry = toEntry(location);
+    const existing = byId.get(entry.id);
+
+    if (!existing || existing.updatedAt <= entry.updatedAt) {
+      byId.set(entry.id, entry);
+    }
+  });
+
+  return {
+    version: PAYLOAD_VERSION,
+    locations: [...byId.values()].sort((a, b) => a.id - b.id),
+  };
+}
+
+// Location entries for inventory level nodes from the Admin API
+export function entriesFromInventoryLevels(levels, updatedAt = new Date()) {
+  return levels.map((level) => ({
+    id: toLocationId(level.location.id),
+    name: level.location.name,
+    available: level.quantities[0]?.quantity || 0,
+    updatedAt: updatedAt.toISOString(),
+  }));
+}
+
+// Returns what is wrong with a payload, or an empty list when it can be
+// written as is
+export function validateLocationsPayload(payload) {
+  const problems = [];
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return ["Value must be an object"];
+  }
+  if (payload.version !== PAYLOAD_VERSION) {
+    problems.push(`Unsupported version ${payload.version}`);
+  }
+  if (!Array.isArray(payload.locations)) {
+    return [...problems, "locations must be a list"];
+  }
+
+  const seen = new Set();
+  payload.locations.forEach((location, index) => {
+    if (!Number.isSafeInteger(location?.id) || location.id <= 0) {
+      problems.push(`locations[${index}].id must be a numeric location id`);
+    } else if (seen.has(location.id)) {
+      problems.push(`locations[${index}] repeats location ${location.id}`);
+    }
+    seen.add(location?.id);
+
+    if (typeof location?.name !== "string") {
+      problems.push(`locations[${index}].name must be a string`);
+    }
+    if (!Number.isInteger(location?.available)) {
+      problems.push(`locations[${index}].available must be an integer`);
+    }
+    if (Number.isNaN(Date.parse(location?.updatedAt))) {
+      problems.push(`locations[${index}].updatedAt must be a date`);
+    }
+  });
+
+  return problems;
+}
+
+// Brings a stored value of any version to the current one
+export function migrateLocationsPayload(value) {
+  const version = value?.version ?? 1;
+
+  if (version > PAYLOAD_VERSION) {
+    throw new Error(`Locations payload version ${version} is newer than this app supports`);
+  }
+  if (!Array.isArray(value?.locations)) {
+    throw new Error("Locations payload has no locations list");
+  }
+
+  const locations = value.locations.filter((location) => {
+    if (toLocationId(location?.id) === null) {
+      console.warn("Dropping location entry without a valid id:", location);
+      return false;
+    }
+    return true;
+  });
+
+  return buildLocationsPayload(
+    locations.map((location) => ({
+      ...location,
+      updatedAt: location.updatedAt || new Date(0).toISOString(),
+    }))
+  );
+}
+
+// Reads a stored metafield value (JSON text or an already parsed object) as a
+// current payload. Throws when it cannot be read.
+export function parseLocationsPayload(value) {
+  const payload = migrateLocationsPayload(typeof value === "string" ? JSON.parse(value) : value);
+  const problems = validateLocationsPayload(payload);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid locations payload: ${problems.join(", ")}`);
+  }
+
+  return payload;
+}
+
+// Whether two payloads list the same locations with the same names and
+// quantities. `updatedAt` is left out, since every sync sets it anew.
+export function sameLocations(a, b) {
+  const summary = (payload) =>
+    JSON.stringify(payload.locations.map(({ id, name, available }) => [id, name, available]));
+
+  return summary(a) === summary(b);
+}
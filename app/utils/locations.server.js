@@ -0,0 +1,84 @@
+import { storeLocations } from "./inventorySnapshot.server";
+
+// Every location of the shop with what the location rules need to know,
+// including the legacy ones of fulfillment services
+export async function fetchShopLocations(admin) {
+  const locations = [];
+  let cursor = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const response = await admin.graphql(`
+      query GetShopLocations($cursor: String) {
+        locations(first: 250, after: $cursor, includeInactive: true, includeLegacy: true) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            id
+            name
+            isActive
+            localPickupSettingsV2 {
+              pickupTime
+            }
+          }
+        }
+      }
+    `, { variables: { cursor } });
+
+    const data = await response.json();
+    const { nodes, pageInfo } = data.data.locations;
+
+    locations.push(...nodes.map((location) => ({
+      id: location.id.split("/").pop(),
+      name: location.name,
+      isActive: location.isActive,
+      pickupEnabled: Boolean(location.localPickupSettingsV2),
+    })));
+    hasNextPage = pageInfo.hasNextPage;
+    cursor = pageInfo.endCursor;
+  }
+
+  return locations;
+}
+
+// Loads what applyLocationRules needs for a shop, once per sync or queue
+// drain. The fetched locations also refresh the local snapshot, whose
+// location names the metafield values are built with.
+export async function loadLocationRules(admin, settings) {
+  const locations = await fetchShopLocations(admin);
+  await storeLocations(settings.shop, locations);
+
+  return {
+    settings,
+    locations: new Map(locations.map((location) => [location.id, location])),
+  };
+}
+
+// Applies the shop's location rules to the entries of a locations metafield
+// value: include/exclude lists, zero stock, inactive and non-pickup
+// locations, then the public display names. Location ids in the settings are
+// the numeric ids the entries use.
+export function applyLocationRules(locations, { settings, locations: shopLocations }) {
+  const included = new Set(settings.includedLocationIds.map(String));
+  const excluded = new Set(settings.excludedLocationIds.map(String));
+
+  return locations
+    .filter((location) => {
+      const id = String(location.id);
+      const shopLocation = shopLocations.get(id);
+
+      if (included.size > 0 && !included.has(id)) return false;
+      if (excluded.has(id)) return false;
+      if (!settings.includeZeroStock && location.available <= 0) return false;
+      if (settings.hideInactiveLocations && shopLocation && !shopLocation.isActive) return false;
+      if (settings.pickupLocationsOnly && !shopLocation?.pickupEnabled) return false;
+
+      return true;
+    })
+    .map((location) => {
+      const displayName = settings.locationDisplayNames[String(location.id)];
+      return displayName ? { ...location, name: displayName } : location;
+    });
+}
@@ -0,0 +1,56 @@
+import db from "../db.server";
+import { parseLocationsPayload, sameLocations } from "./locationPayload.server";
+
+// Audit rows older than this are removed
+const AUDIT_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+// How many changes the history page shows for one variant
+const TRAIL_LIMIT = 100;
+
+function changedLocations(oldValue, newValue) {
+  if (!oldValue) return true;
+
+  try {
+    return !sameLocations(parseLocationsPayload(oldValue), newValue);
+  } catch {
+    // An unreadable old value was replaced, which is a change
+    return true;
+  }
+}
+
+// Records the metafield values written for variants. `audit` says who wrote
+// them: `{ shop, source, jobId }`, where source is the job mode or "webhook".
+// `changes` are `{ variantId, oldValue, newValue }` with the old value as the
+// stored JSON text and the new one as a payload. Writes that left every
+// location as it was are not recorded.
+export async function recordMetafieldChanges(audit, changes) {
+  const data = changes
+    .filter((change) => changedLocations(change.oldValue, change.newValue))
+    .map((change) => ({
+      shop: audit.shop,
+      source: audit.source,
+      jobId: audit.jobId || null,
+      variantId: change.variantId,
+      oldValue: change.oldValue || null,
+      newValue: JSON.stringify(change.newValue),
+    }));
+
+  if (data.length > 0) {
+    await db.metafieldAudit.createMany({ data });
+  }
+}
+
+// The latest recorded changes of one variant, newest first
+export async function getVariantAuditTrail(shop, variantId) {
+  return db.metafieldAudit.findMany({
+    where: { shop, variantId },
+    orderBy: { createdAt: "desc" },
+    take: TRAIL_LIMIT,
+  });
+}
+
+export async function pruneMetafieldAudits() {
+  await db.metafieldAudit.deleteMany({
+    where: { createdAt: { lt: new Date(Date.now() - AUDIT_RETENTION_MS) } },
+  });
+}
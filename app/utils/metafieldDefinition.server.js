@@ -0,0 +1,113 @@
+const DEFINITION_NAME = "Inventory locations";
+
+async function findDefinition(admin, { namespace, key }) {
+  const response = await admin.graphql(
+    `
+    query FindLocationsDefinition($namespace: String!, $key: String!) {
+      metafieldDefinitions(first: 1, ownerType: PRODUCTVARIANT, namespace: $namespace, key: $key) {
+        nodes {
+          id
+          type {
+            name
+          }
+          access {
+            storefront
+          }
+        }
+      }
+    }
+  `,
+    { variables: { namespace, key } }
+  );
+
+  const data = await response.json();
+  return data.data.metafieldDefinitions.nodes[0] || null;
+}
+
+function throwUserErrors(userErrors) {
+  if (userErrors?.length > 0) {
+    throw new Error(userErrors.map((e) => e.message).join(", "));
+  }
+}
+
+// Makes sure the variant metafield the app writes to has a JSON definition
+// that storefronts can read. Creates it when missing and fixes its storefront
+// access; a definition of another type is reported, since it cannot hold the
+// app's payload.
+export async function ensureLocationsMetafieldDefinition(admin, target) {
+  const definition = await findDefinition(admin, target);
+
+  if (!definition) {
+    const response = await admin.graphql(
+      `
+      mutation CreateLocationsDefinition($definition: MetafieldDefinitionInput!) {
+        metafieldDefinitionCreate(definition: $definition) {
+          createdDefinition {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+      {
+        variables: {
+          definition: {
+            name: DEFINITION_NAME,
+            namespace: target.namespace,
+            key: target.key,
+            description: "Available quantity per location, written by the inventory app",
+            type: "json",
+            ownerType: "PRODUCTVARIANT",
+            access: { storefront: "PUBLIC_READ" },
+          },
+        },
+      }
+    );
+
+    const data = await response.json();
+    throwUserErrors(data.data.metafieldDefinitionCreate.userErrors);
+    console.log(`Created metafield definition ${target.namespace}.${target.key}`);
+    return;
+  }
+
+  if (definition.type.name !== "json") {
+    throw new Error(
+      `Metafield ${target.namespace}.${target.key} is defined as ${definition.type.name}, but the app needs a json metafield`
+    );
+  }
+
+  if (definition.access.storefront !== "PUBLIC_READ") {
+    const response = await admin.graphql(
+      `
+      mutation UpdateLocationsDefinition($definition: MetafieldDefinitionUpdateInput!) {
+        metafieldDefinitionUpdate(definition: $definition) {
+          updatedDefinition {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+      {
+        variables: {
+          definition: {
+            namespace: target.namespace,
+            key: target.key,
+            ownerType: "PRODUCTVARIANT",
+            access: { storefront: "PUBLIC_READ" },
+          },
+        },
+      }
+    );
+
+    const data = await response.json();
+    throwUserErrors(data.data.metafieldDefinitionUpdate.userErrors);
+    console.log(`Enabled storefront access for ${target.namespace}.${target.key}`);
+  }
+}
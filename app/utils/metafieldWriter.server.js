@@ -0,0 +1,352 @@
+import {
+  parseLocationsPayload,
+  sameLocations,
+  validateLocationsPayload
+} from "./locationPayload.server";
+import { markMetafieldsSynced } from "./inventorySnapshot.server";
+import { recordMetafieldChanges } from "./metafieldAudit.server";
+
+// metafieldsSet accepts at most 25 metafields per call
+const METAFIELDS_PER_CALL = 25;
+
+const SET_METAFIELDS_MUTATION = `
+  mutation SetMetafields($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// userErrors point at their input through `field`, e.g.
+// ["metafields", "3", "value"]. Errors without an index belong to the call.
+function groupUserErrors(userErrors) {
+  const byIndex = new Map();
+  const unassigned = [];
+
+  for (const userError of userErrors) {
+    const index = userError.field?.[0] === "metafields" ? parseInt(userError.field[1], 10) : NaN;
+
+    if (Number.isNaN(index)) {
+      unassigned.push(userError);
+    } else {
+      byIndex.set(index, [...(byIndex.get(index) || []), userError]);
+    }
+  }
+
+  return { byIndex, unassigned };
+}
+
+async function setMetafields(admin, entries, target) {
+  const response = await admin.graphql(SET_METAFIELDS_MUTATION, {
+    variables: {
+      metafields: entries.map(entry => ({
+        namespace: target.namespace,
+        key: target.key,
+        ownerId: entry.ownerId,
+        type: "json",
+        value: JSON.stringify(entry.value)
+      }))
+    }
+  });
+
+  const data = await response.json();
+
+  return data.data.metafieldsSet.userErrors;
+}
+
+// Current values of the chunk's metafields, for the audit trail and to skip
+// unchanged values. Entries can bring the value they replace as
+// `previousValue` (null when there was none), which saves the lookup.
+async function readPreviousValues(admin, entries, target) {
+  const previous = new Map();
+  const unknown = [];
+
+  entries.forEach(entry => {
+    if (entry.previousValue !== undefined) {
+      previous.set(entry.ownerId, entry.previousValue);
+    } else {
+      unknown.push(entry.ownerId);
+    }
+  });
+
+  if (unknown.length === 0) return previous;
+
+  try {
+    const response = await admin.graphql(
+      `
+      query GetPreviousValues($ids: [ID!]!, $namespace: String!, $key: String!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            id
+            metafield(namespace: $namespace, key: $key) {
+              value
+            }
+          }
+        }
+      }
+    `,
+      { variables: { ids: unknown, ...target } }
+    );
+
+    const data = await response.json();
+    data.data.nodes.forEach(node => {
+      if (node) previous.set(node.id, node.metafield?.value ?? null);
+    });
+  } catch (error) {
+    // The write itself must not fail because the lookup did; the values that
+    // could not be read are written as changed
+    console.warn("Could not read previous metafield values:", error.message);
+  }
+
+  return previous;
+}
+
+// Writes one chunk. metafieldsSet saves nothing when any input is invalid, so
+// the valid entries of a rejected chunk are written again on their own.
+async function writeChunk(admin, entries, target) {
+  const results = new Map();
+
+  try {
+    const userErrors = await setMetafields(admin, entries, target);
+
+    if (userErrors.length === 0) {
+      entries.forEach(entry => results.set(entry.ownerId, { success: true, ownerId: entry.ownerId }));
+      return results;
+    }
+
+    const { byIndex, unassigned } = groupUserErrors(userErrors);
+
+    if (unassigned.length > 0 || byIndex.size === 0) {
+      entries.forEach(entry => results.set(entry.ownerId, {
+        success: false,
+        ownerId: entry.ownerId,
+        errors: userErrors,
+        type: 'userError'
+      }));
+      return results;
+    }
+
+    const retry = [];
+    entries.forEach((entry, index) => {
+      if (byIndex.has(index)) {
+        results.set(entry.ownerId, {
+          success: false,
+          ownerId: entry.ownerId,
+          errors: byIndex.get(index),
+          type: 'userError'
+        });
+      } else {
+        retry.push(entry);
+      }
+    });
+
+    // Errors that point at no entry of this chunk would send the same chunk
+    // again and again; the whole chunk fails with them instead
+    if (retry.length === entries.length) {
+      entries.forEach(entry => results.set(entry.ownerId, {
+        success: false,
+        ownerId: entry.ownerId,
+        errors: userErrors,
+        type: 'userError'
+      }));
+      return results;
+    }
+
+    if (retry.length > 0) {
+      const retried = await writeChunk(admin, retry, target);
+      retried.forEach((result, ownerId) => results.set(ownerId, result));
+    }
+  } catch (error) {
+    entries.forEach(entry => results.set(entry.ownerId, {
+      success: false,
+      ownerId: entry.ownerId,
+      error: error.message,
+      type: 'apiError'
+    }));
+  }
+
+  return results;
+}
+
+// Whether a stored value already lists the same locations as `value`.
+// Unreadable values are never the same, so they get rewritten.
+function isUnchanged(previousValue, value) {
+  if (!previousValue) return false;
+
+  try {
+    return sameLocations(parseLocationsPayload(previousValue), value);
+  } catch {
+    return false;
+  }
+}
+
+// Writes the locations metafield for many owners with as few metafieldsSet
+// calls as possible. `entries` are `{ ownerId, value }` pairs and `target` is
+// the shop's `{ namespace, key }`; the result has one
+// `{ success, ownerId, errors | error, type }` object per entry, in order.
+// With `audit` (see recordMetafieldChanges) every successful write that
+// changed a value is added to the audit trail, and the local snapshot
+// remembers what each variant's metafield now holds.
+//
+// With `skipUnchanged`, owners whose stored value lists the same locations
+// (timestamps aside) are not written. Successful results then carry an
+// `outcome`: "skipped", "written" over an existing value, or "created".
+export async function writeLocationMetafields(
+  admin,
+  entries,
+  target,
+  audit = null,
+  { skipUnchanged = false } = {}
+) {
+  const results = new Map();
+  const valid = [];
+
+  // Values that do not match the payload schema never reach Shopify; they are
+  // reported like the user errors Shopify would return for them
+  entries.forEach(entry => {
+    const problems = validateLocationsPayload(entry.value);
+
+    if (problems.length > 0) {
+      results.set(entry.ownerId, {
+        success: false,
+        ownerId: entry.ownerId,
+        errors: problems.map(message => ({ field: ["value"], message })),
+        type: 'userError'
+      });
+    } else {
+      valid.push(entry);
+    }
+  });
+
+  for (const validChunk of chunk(valid, METAFIELDS_PER_CALL)) {
+    const previousValues = audit || skipUnchanged
+      ? await readPreviousValues(admin, validChunk, target)
+      : null;
+
+    let entriesChunk = validChunk;
+    if (skipUnchanged) {
+      entriesChunk = validChunk.filter(entry => {
+        if (!isUnchanged(previousValues.get(entry.ownerId), entry.value)) return true;
+
+        results.set(entry.ownerId, { success: true, ownerId: entry.ownerId, outcome: "skipped" });
+        return false;
+      });
+    }
+
+    const chunkResults = entriesChunk.length > 0
+      ? await writeChunk(admin, entriesChunk, target)
+      : new Map();
+    chunkResults.forEach((result, ownerId) => {
+      if (skipUnchanged && result.success) {
+        // Values the lookup could not read count as written
+        result.outcome = previousValues.get(ownerId) === null ? "created" : "written";
+      }
+      results.set(ownerId, result);
+    });
+
+    if (audit) {
+      await recordMetafieldChanges(audit, entriesChunk
+        .filter(entry => chunkResults.get(entry.ownerId).success)
+        .map(entry => ({
+          variantId: entry.ownerId,
+          oldValue: previousValues.get(entry.ownerId),
+          newValue: entry.value
+        })));
+
+      // The snapshot follows what the shop now holds, written or found
+      // unchanged
+      await markMetafieldsSynced(audit.shop, validChunk.filter(entry => results.get(entry.ownerId).success));
+    }
+  }
+
+  return entries.map(entry => results.get(entry.ownerId));
+}
+
+// Works out what writeLocationMetafields with `skipUnchanged` would do,
+// without writing anything. The result has one object per entry, in order:
+// invalid values as the same user errors, every other one as
+// `{ success: true, ownerId, outcome, previousValue, value }`.
+export async function planLocationMetafields(admin, entries, target) {
+  const plan = [];
+
+  for (const entriesChunk of chunk(entries, METAFIELDS_PER_CALL)) {
+    const previousValues = await readPreviousValues(admin, entriesChunk, target);
+
+    entriesChunk.forEach(entry => {
+      const problems = validateLocationsPayload(entry.value);
+      const previousValue = previousValues.get(entry.ownerId) ?? null;
+
+      if (problems.length > 0) {
+        plan.push({
+          success: false,
+          ownerId: entry.ownerId,
+          errors: problems.map(message => ({ field: ["value"], message })),
+          type: 'userError'
+        });
+      } else {
+        plan.push({
+          success: true,
+          ownerId: entry.ownerId,
+          outcome: isUnchanged(previousValue, entry.value)
+            ? "skipped"
+            : previousValue === null ? "created" : "written",
+          previousValue,
+          value: entry.value
+        });
+      }
+    });
+  }
+
+  return plan;
+}
+
+// Removes the metafield at `target` from the given owners
+export async function deleteLocationMetafields(admin, ownerIds, target) {
+  for (const ownerIdsChunk of chunk(ownerIds, METAFIELDS_PER_CALL)) {
+    const response = await admin.graphql(
+      `
+      mutation DeleteMetafields($metafields: [MetafieldIdentifierInput!]!) {
+        metafieldsDelete(metafields: $metafields) {
+          deletedMetafields {
+            ownerId
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+      {
+        variables: {
+          metafields: ownerIdsChunk.map(ownerId => ({
+            ownerId,
+            namespace: target.namespace,
+            key: target.key
+          }))
+        }
+      }
+    );
+
+    const data = await response.json();
+    const userErrors = data.data.metafieldsDelete.userErrors;
+
+    if (userErrors.length > 0) {
+      throw new Error(userErrors.map(e => e.message).join(', '));
+    }
+  }
+}
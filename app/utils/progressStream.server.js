@@ -0,0 +1,139 @@
+import {
+  getLatestSyncJob,
+  getSyncJobErrorsAfter,
+  getSyncJobProgress,
+} from "./syncJobs.server";
+
+// Configuration
+const CHECK_INTERVAL = 1000; // How often the job row is read for changes
+const HEARTBEAT_INTERVAL = 15 * 1000; // Keeps proxies from closing an idle stream
+const MAX_STREAM_MS = 10 * 60 * 1000; // The browser reconnects with a fresh session token
+
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Server-Sent Events stream of the shop's latest sync job. Whichever job is
+// latest is followed, so a run started from another tab, the scheduler or
+// another app instance shows up without a reload. Events:
+//   progress   the full progress payload, whenever the job changed
+//   batch      a batch was started, with the counts so far
+//   job-error  one error row, as soon as it was recorded
+export function createProgressStream(shop, signal) {
+  const encoder = new TextEncoder();
+  let closed = false;
+  let checkTimer;
+  let heartbeatTimer;
+  let closeTimer;
+
+  // Stops the timers. The controller is closed too unless the browser
+  // already cancelled the stream, which leaves nothing to close.
+  const stop = (controller) => {
+    if (closed) return;
+    closed = true;
+    clearInterval(checkTimer);
+    clearInterval(heartbeatTimer);
+    clearTimeout(closeTimer);
+    if (controller) {
+      try {
+        controller.close();
+      } catch {
+        // Already closed or errored
+      }
+    }
+  };
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let lastJobId = null;
+      let lastVersion = null;
+      let lastBatch = null;
+      let lastErrorId = 0;
+
+      const close = () => stop(controller);
+
+      // A stream that was cancelled between checks is closed quietly
+      const write = (chunk) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch {
+          close();
+        }
+      };
+
+      const send = (event, data) => write(formatEvent(event, data));
+
+      const check = async () => {
+        const job = await getLatestSyncJob(shop);
+
+        // A new job starts its batches and errors from scratch
+        if (job?.id !== lastJobId) {
+          lastJobId = job?.id ?? null;
+          lastBatch = null;
+          lastErrorId = 0;
+        }
+
+        const version = job ? `${job.status}:${job.updatedAt.getTime()}` : "none";
+        if (version === lastVersion) return;
+        lastVersion = version;
+
+        if (job && job.currentBatch !== lastBatch) {
+          lastBatch = job.currentBatch;
+          send("batch", {
+            jobId: job.id,
+            batch: job.currentBatch,
+            processedVariants: job.processedVariants,
+            totalVariants: job.totalVariants,
+          });
+        }
+
+        if (job) {
+          const errors = await getSyncJobErrorsAfter(job.id, lastErrorId);
+          errors.forEach((error) => {
+            lastErrorId = error.id;
+            send("job-error", { jobId: job.id, ...error });
+          });
+        }
+
+        send("progress", await getSyncJobProgress(job));
+      };
+
+      // The request may be gone before the stream starts
+      if (signal.aborted) {
+        close();
+        return;
+      }
+
+      // Checks never overlap; a slow one simply delays the next
+      let checking = false;
+      const runCheck = () => {
+        if (checking || closed) return;
+        checking = true;
+        check()
+          .catch((error) => console.error(`Progress stream for ${shop} failed:`, error))
+          .finally(() => {
+            checking = false;
+          });
+      };
+
+      runCheck();
+      checkTimer = setInterval(runCheck, CHECK_INTERVAL);
+      heartbeatTimer = setInterval(() => write(": heartbeat\n\n"), HEARTBEAT_INTERVAL);
+      closeTimer = setTimeout(close, MAX_STREAM_MS);
+      signal.addEventListener("abort", close, { once: true });
+    },
+    cancel() {
+      stop(null);
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    },
+  });
+}
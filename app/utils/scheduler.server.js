@@ -0,0 +1,133 @@
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { sendAlertDigests } from "./alertChannels.server";
+import { createGraphqlClient } from "./graphqlClient.server";
+import { pruneMetafieldAudits } from "./metafieldAudit.server";
+import { getShopSettings } from "./settings.server";
+import { runSyncJob } from "./sync.server";
+import { startSyncJob } from "./syncJobs.server";
+
+// Configuration
+const SCHEDULER_INTERVAL = 10 * 60 * 1000; // Checked often enough to hit every hour
+const MIN_RUN_GAP_MS = 23 * 60 * 60 * 1000; // A shop gets at most one scheduled run a day
+
+// Job data for each daily run setting (see DEFAULT_SETTINGS.autoSyncMode).
+// Daily syncs read the catalog from one bulk operation snapshot.
+const SCHEDULED_JOBS = {
+  sync: { mode: "bulk" },
+  reconcile: { mode: "reconcile", options: JSON.stringify({ repair: false }) },
+  repair: { mode: "reconcile", options: JSON.stringify({ repair: true }) },
+};
+
+// Installed shops that turned on the daily run. Only shops with an offline
+// session can be synced without a merchant in the app.
+async function findScheduledShops() {
+  const sessions = await db.session.findMany({
+    where: { isOnline: false },
+    distinct: ["shop"],
+    select: { shop: true },
+  });
+
+  const settings = await db.shopSettings.findMany({
+    where: { shop: { in: sessions.map((session) => session.shop) }, autoSyncEnabled: true },
+    select: { shop: true },
+  });
+
+  return settings.map((row) => row.shop);
+}
+
+async function ranRecently(shop) {
+  const lastRun = await db.syncJob.findFirst({
+    where: {
+      shop,
+      trigger: "schedule",
+      startedAt: { gt: new Date(Date.now() - MIN_RUN_GAP_MS) },
+    },
+    select: { id: true },
+  });
+
+  return Boolean(lastRun);
+}
+
+async function fetchShopTimezone(admin) {
+  const response = await admin.graphql(`
+    query GetShopTimezone {
+      shop {
+        ianaTimezone
+      }
+    }
+  `);
+
+  const data = await response.json();
+  return data.data.shop.ianaTimezone;
+}
+
+// Current hour of the day in the given time zone
+function hourInTimezone(timezone) {
+  const hour = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hour: "numeric",
+    hourCycle: "h23",
+  }).format(new Date());
+
+  return parseInt(hour, 10);
+}
+
+// Starts the shop's daily run when it is the configured hour in the shop's
+// time zone. A shop that is still syncing is tried again on the next check
+// within that hour; once the hour has passed, its run waits for the next day.
+async function runScheduledSync(shop) {
+  if (await ranRecently(shop)) return;
+
+  const settings = await getShopSettings(shop);
+  const { admin } = await unauthenticated.admin(shop);
+  const client = createGraphqlClient(admin, shop);
+
+  const timezone = await fetchShopTimezone(client);
+  if (hourInTimezone(timezone) !== settings.autoSyncHour) return;
+
+  const { job, alreadyRunning } = await startSyncJob(shop, {
+    ...(SCHEDULED_JOBS[settings.autoSyncMode] || SCHEDULED_JOBS.sync),
+    trigger: "schedule",
+  });
+
+  if (alreadyRunning) {
+    console.log(`Skipping scheduled sync for ${shop}: job ${job.id} is still running`);
+    return;
+  }
+
+  // Runs in the background like a sync started from the Index page; the job
+  // row is the record of the run in the sync history
+  console.log(`Starting scheduled ${job.mode} job ${job.id} for ${shop}`);
+  runSyncJob(client, job).catch((error) => {
+    console.error(`Unhandled error in scheduled job ${job.id}:`, error);
+  });
+}
+
+async function runScheduledSyncs() {
+  const shops = await findScheduledShops();
+
+  for (const shop of shops) {
+    await runScheduledSync(shop).catch((error) => {
+      console.error(`Scheduled sync for ${shop} failed:`, error);
+    });
+  }
+}
+
+export function startSyncScheduler() {
+  // Module reloads in development must not start a second interval
+  if (global.syncScheduler) return;
+
+  global.syncScheduler = setInterval(() => {
+    runScheduledSyncs().catch((error) => {
+      console.error("Sync scheduler failed:", error);
+    });
+    pruneMetafieldAudits().catch((error) => {
+      console.error("Pruning the metafield audit trail failed:", error);
+    });
+    sendAlertDigests().catch((error) => {
+      console.error("Sending stock alert digests failed:", error);
+    });
+  }, SCHEDULER_INTERVAL);
+  global.syncScheduler.unref?.();
+}
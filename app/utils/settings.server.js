@@ -0,0 +1,61 @@
+import db from "../db.server";
+
+export const DEFAULT_SETTINGS = {
+  metafieldNamespace: "custom",
+  metafieldKey: "locations",
+  includedLocationIds: [],
+  excludedLocationIds: [],
+  includeZeroStock: true,
+  hideInactiveLocations: false,
+  pickupLocationsOnly: false,
+  locationDisplayNames: {},
+  syncConcurrency: 10,
+  autoSyncEnabled: false,
+  autoSyncHour: 2,
+  // What the daily run does: "sync", "reconcile" or "repair" (reconcile and
+  // write the variants that drifted)
+  autoSyncMode: "sync",
+};
+
+// Location id lists and the display name map are stored as JSON text
+const JSON_FIELDS = ["includedLocationIds", "excludedLocationIds", "locationDisplayNames"];
+
+function fromRow(row) {
+  if (!row) return {};
+
+  const settings = { ...row };
+  JSON_FIELDS.forEach((field) => {
+    settings[field] = JSON.parse(row[field]);
+  });
+  return settings;
+}
+
+function toRow(data) {
+  const row = { ...data };
+  JSON_FIELDS.forEach((field) => {
+    if (field in data) row[field] = JSON.stringify(data[field]);
+  });
+  return row;
+}
+
+// Settings of a shop, falling back to the defaults for shops that never
+// saved any
+export async function getShopSettings(shop) {
+  const row = await db.shopSettings.findUnique({ where: { shop } });
+  return { ...DEFAULT_SETTINGS, ...fromRow(row), shop };
+}
+
+export async function updateShopSettings(shop, data) {
+  const row = toRow(data);
+
+  return db.shopSettings.upsert({
+    where: { shop },
+    create: { ...row, shop },
+    update: row,
+  });
+}
+
+// The metafield the app writes inventory locations to
+export function getMetafieldTarget(settings) {
+  return { namespace: settings.metafieldNamespace, key: settings.metafieldKey };
+}
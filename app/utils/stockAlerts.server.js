@@ -0,0 +1,206 @@
+import db from "../db.server";
+
+// Low and out of stock alerts per location. A shop's AlertRules set the
+// threshold for a location, a product tag or a variant; when a level in the
+// local snapshot drops to its threshold a StockAlert is recorded, and the
+// alert stays open until the level is back above it. Only then can the same
+// variant and location alert again.
+
+export const ALERT_RULE_SCOPES = ["location", "tag", "variant"];
+
+// Rules for one variant outrank rules for a tag, which outrank location
+// rules. Within a scope, a rule for the level's location outranks one for
+// every location.
+const SCOPE_RANK = { variant: 0, tag: 1, location: 2 };
+
+export async function listAlertRules(shop) {
+  return db.alertRule.findMany({ where: { shop }, orderBy: { createdAt: "asc" } });
+}
+
+// `rule` is `{ scope, value, locationId, threshold }`: `value` is the tag or
+// variant GID, `locationId` the numeric location id or null for every
+// location
+export async function createAlertRule(shop, rule) {
+  return db.alertRule.create({
+    data: {
+      shop,
+      scope: rule.scope,
+      value: rule.scope === "location" ? null : rule.value,
+      locationId: rule.locationId || null,
+      threshold: rule.threshold,
+    },
+  });
+}
+
+// Alerts of a deleted rule are closed, so a later rule can raise them again
+export async function deleteAlertRule(shop, ruleId) {
+  const rule = await db.alertRule.findFirst({ where: { shop, id: ruleId } });
+  if (!rule) return false;
+
+  await db.$transaction([
+    db.stockAlert.updateMany({
+      where: { ruleId, status: "open" },
+      data: { status: "resolved", resolvedAt: new Date() },
+    }),
+    db.alertRule.delete({ where: { id: ruleId } }),
+  ]);
+
+  return true;
+}
+
+// Names of the variants that variant rules apply to, from the snapshot
+export async function getRuleVariantNames(shop, rules) {
+  const variants = await db.variant.findMany({
+    where: { shop, id: { in: rules.filter((rule) => rule.scope === "variant").map((rule) => rule.value) } },
+    select: { id: true, productTitle: true, title: true },
+  });
+
+  return Object.fromEntries(variants.map((variant) => [
+    variant.id,
+    [variant.productTitle, variant.title !== "Default Title" && variant.title].filter(Boolean).join(" – "),
+  ]));
+}
+
+function readTags(variant) {
+  try {
+    return JSON.parse(variant.productTags || "[]").map((tag) => tag.toLowerCase());
+  } catch {
+    return [];
+  }
+}
+
+// The rule that sets the threshold of a variant at a location, or null when
+// none applies
+export function findAlertRule(rules, variant, locationId) {
+  const tags = readTags(variant);
+
+  const matching = rules.filter((rule) => {
+    if (rule.locationId && rule.locationId !== locationId) return false;
+    if (rule.scope === "variant") return rule.value === variant.id;
+    if (rule.scope === "tag") return tags.includes(String(rule.value).toLowerCase());
+    return true;
+  });
+
+  matching.sort((a, b) => SCOPE_RANK[a.scope] - SCOPE_RANK[b.scope]
+    || Number(Boolean(b.locationId)) - Number(Boolean(a.locationId))
+    || b.threshold - a.threshold);
+
+  return matching[0] || null;
+}
+
+// "out" at zero or below, "low" at or below the threshold, otherwise null
+function stockState(available, threshold) {
+  if (available <= 0) return "out";
+  if (available <= threshold) return "low";
+  return null;
+}
+
+// Checks the stored levels of the given variants against the shop's rules.
+// Levels that reached their threshold get an alert unless one is already
+// open. Open alerts of levels that recovered are resolved, and so are those
+// whose level moved between low and out, which alert again with the new
+// kind. Returns the alerts recorded.
+export async function evaluateStockAlerts(shop, variantIds) {
+  const rules = await listAlertRules(shop);
+  const [variants, openAlerts] = await Promise.all([
+    db.variant.findMany({ where: { shop, id: { in: variantIds } }, include: { levels: true } }),
+    db.stockAlert.findMany({ where: { shop, variantId: { in: variantIds }, status: "open" } }),
+  ]);
+
+  const openByLevel = new Map(openAlerts.map((alert) => [`${alert.variantId}:${alert.locationId}`, alert]));
+  const resolved = [];
+  const raised = [];
+
+  variants.forEach((variant) => {
+    variant.levels.forEach((level) => {
+      const key = `${variant.id}:${level.locationId}`;
+      const open = openByLevel.get(key);
+      const rule = findAlertRule(rules, variant, level.locationId);
+      const state = rule ? stockState(level.available, rule.threshold) : null;
+      openByLevel.delete(key);
+
+      if (open && open.kind === state) return;
+      if (open) resolved.push(open.id);
+      if (state) {
+        raised.push({
+          shop,
+          ruleId: rule.id,
+          variantId: variant.id,
+          locationId: level.locationId,
+          kind: state,
+          available: level.available,
+          threshold: rule.threshold,
+        });
+      }
+    });
+  });
+
+  // Levels that are gone, like a disconnected location, re-arm too
+  openByLevel.forEach((alert) => resolved.push(alert.id));
+
+  if (resolved.length > 0) {
+    await db.stockAlert.updateMany({
+      where: { id: { in: resolved } },
+      data: { status: "resolved", resolvedAt: new Date() },
+    });
+    console.log(`Re-armed ${resolved.length} stock alerts for ${shop}`);
+  }
+
+  const alerts = [];
+  for (const data of raised) {
+    alerts.push(await db.stockAlert.create({ data }));
+  }
+  if (alerts.length > 0) {
+    console.log(`Recorded ${alerts.length} stock alerts for ${shop}`);
+  }
+
+  return alerts;
+}
+
+// Alerts with the product and location details that messages show
+export async function describeStockAlerts(shop, alerts) {
+  const [variants, locations] = await Promise.all([
+    db.variant.findMany({ where: { shop, id: { in: [...new Set(alerts.map((alert) => alert.variantId))] } } }),
+    db.location.findMany({ where: { shop } }),
+  ]);
+  const variantsById = new Map(variants.map((variant) => [variant.id, variant]));
+  const namesById = new Map(locations.map((location) => [location.id, location.name]));
+
+  return alerts.map((alert) => {
+    const variant = variantsById.get(alert.variantId);
+
+    return {
+      id: alert.id,
+      kind: alert.kind,
+      status: alert.status,
+      variantId: alert.variantId,
+      productTitle: variant?.productTitle ?? null,
+      variantTitle: variant?.title ?? null,
+      sku: variant?.sku ?? null,
+      locationId: alert.locationId,
+      locationName: namesById.get(alert.locationId) || `Location ${alert.locationId}`,
+      available: alert.available,
+      threshold: alert.threshold,
+      createdAt: alert.createdAt,
+      resolvedAt: alert.resolvedAt,
+    };
+  });
+}
+
+export async function listStockAlerts(shop, { take = 100 } = {}) {
+  const alerts = await db.stockAlert.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+
+  return describeStockAlerts(shop, alerts);
+}
+
+export async function clearStockAlerts(shop) {
+  await db.$transaction([
+    db.stockAlert.deleteMany({ where: { shop } }),
+    db.alertRule.deleteMany({ where: { shop } }),
+    db.alertChannel.deleteMany({ where: { shop } }),
+  ]);
+}
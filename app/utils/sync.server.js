@@ -0,0 +1,1053 @@
+import { checkStockAlerts, notifyStockAlertsSince } from "./alertChannels.server";
+import { getBulkOperation, waitForBulkOperation } from "./bulkOperations.server";
+import {
+  VARIANT_INVENTORY_FRAGMENT,
+  fetchInventoryLevels,
+  readInventorySnapshot,
+  startInventorySnapshot,
+  toSyncVariant
+} from "./inventory";
+import { buildSnapshotPayloads, storeVariants } from "./inventorySnapshot.server";
+import {
+  deleteLocationMetafields,
+  planLocationMetafields,
+  writeLocationMetafields
+} from "./metafieldWriter.server";
+import { loadLocationRules } from "./locations.server";
+import { buildLocationsPayload, parseLocationsPayload } from "./locationPayload.server";
+import { ensureLocationsMetafieldDefinition } from "./metafieldDefinition.server";
+import { describeSyncScope, getJobScope, scopeToQuery } from "./syncScope.server";
+import {
+  getPlanEntriesPage,
+  getPlanSummary,
+  isDryRun,
+  recordPlanEntries
+} from "./syncPlan.server";
+import {
+  findLocationDrift,
+  getDriftSummary,
+  markDriftRepaired,
+  recordDriftEntries
+} from "./drift.server";
+import {
+  getMetafieldTarget,
+  getShopSettings,
+  updateShopSettings
+} from "./settings.server";
+import {
+  SyncJobStopRequested,
+  checkSyncJobControl,
+  claimBulkResult,
+  findSyncJob,
+  finishSyncJob,
+  getFailedVariantIds,
+  recordSyncJobErrors,
+  startSyncJob,
+  updateSyncJob,
+} from "./syncJobs.server";
+
+// Helper for concurrency limit
+async function parallelLimit(tasks, limit) {
+  const results = [];
+  let i = 0;
+  async function next() {
+    if (i >= tasks.length) return;
+    const idx = i++;
+    results[idx] = await tasks[idx]();
+    await next();
+  }
+  await Promise.all(Array(Math.min(limit, tasks.length)).fill(0).map(next));
+  return results;
+}
+
+// Fetches the inventory levels of a variant that did not come with them
+async function loadVariantLevels(admin, variant) {
+  if (variant.inventoryLevels) return variant;
+
+  console.log(`Fetching inventory levels for variant ${variant.id}...`);
+  return { ...variant, inventoryLevels: await fetchInventoryLevels(admin, variant.inventoryItem.id) };
+}
+
+// Metafield changes made by a job are audited with its mode as the source
+function jobAudit(job) {
+  return { shop: job.shop, source: job.mode, jobId: job.id };
+}
+
+// Plans the writes of a dry run instead of making them. Returns results like
+// writeLocationMetafields with `skipUnchanged`.
+async function planWrites(admin, job, entries, target) {
+  const plan = await planLocationMetafields(admin, entries, target);
+
+  await recordPlanEntries(job.id, plan
+    .filter(result => result.success && result.outcome !== "skipped")
+    .map(result => ({
+      variantId: result.ownerId,
+      change: result.outcome === "created" ? "create" : "update",
+      oldValue: result.previousValue,
+      newValue: result.value
+    })));
+
+  return plan;
+}
+
+// Syncs one page of variants and stores the outcome on the job. The
+// location rules are loaded once per run (see loadLocationRules). `readAt`
+// is when Shopify reported the variants' levels (see storeVariants).
+async function processBatch(admin, job, rules, variants, batchCount, readAt) {
+  const { settings } = rules;
+
+  console.log(`Processing ${variants.length} variants in batch ${batchCount}`);
+
+  // Step 2a: Load the inventory levels of every variant in the batch. The
+  // shop's sync concurrency caps the requests in flight; how fast they go out
+  // is decided by its GraphQL cost budget (see graphqlClient.server.js).
+  const loaded = await parallelLimit(
+    variants.map(variant => async () => {
+      await checkSyncJobControl(job.id);
+
+      try {
+        return await loadVariantLevels(admin, variant);
+      } catch (variantError) {
+        return { ownerId: variant.id, error: variantError.message };
+      }
+    }),
+    settings.syncConcurrency
+  );
+
+  // Step 2b: Store them in the local snapshot and build each metafield value
+  // from it. The stored levels are checked for stock alerts, which are sent
+  // when the job ends; a dry run records none.
+  const readVariants = loaded.filter(variant => !variant.error);
+  await storeVariants(job.shop, readVariants, readAt);
+  if (!isDryRun(job)) {
+    await checkStockAlerts(job.shop, readVariants.map(variant => variant.id), { notify: false });
+  }
+  const values = await buildSnapshotPayloads(job.shop, readVariants.map(variant => variant.id), rules);
+  const payloads = loaded.map(variant => variant.error ? variant : {
+    ownerId: variant.id,
+    value: values.get(variant.id),
+    previousValue: variant.previousValue
+  });
+
+  // Step 2c: Write the built values that changed with batched metafieldsSet
+  // calls. A dry run only plans them.
+  const entries = payloads.filter(payload => !payload.error);
+  const target = getMetafieldTarget(settings);
+  const writeResults = isDryRun(job)
+    ? await planWrites(admin, job, entries, target)
+    : await writeLocationMetafields(admin, entries, target, jobAudit(job), { skipUnchanged: true });
+
+  const outcomes = { skipped: 0, written: 0, created: 0 };
+  writeResults.forEach(result => {
+    if (result.success) outcomes[result.outcome]++;
+  });
+  await updateSyncJob(job.id, {
+    skippedVariants: { increment: outcomes.skipped },
+    writtenVariants: { increment: outcomes.written },
+    createdVariants: { increment: outcomes.created }
+  });
+
+  const results = [
+    ...payloads.filter(payload => payload.error).map(payload => ({
+      success: false,
+      ownerId: payload.ownerId,
+      error: payload.error,
+      type: 'apiError'
+    })),
+    ...writeResults
+  ];
+
+  // Process results
+  const batchErrors = [];
+  results.forEach(result => {
+    if (!result.success) {
+      if (result.type === 'userError') {
+        batchErrors.push({
+          variantId: result.ownerId,
+          errors: result.errors,
+          type: 'userError'
+        });
+        console.warn(`User errors when updating metafield for variant ${result.ownerId}:`,
+          result.errors);
+      } else if (result.type === 'apiError') {
+        batchErrors.push({
+          variantId: result.ownerId,
+          error: result.error,
+          type: 'apiError'
+        });
+        console.error(`Error processing variant ${result.ownerId}:`, result.error);
+      }
+    }
+  });
+
+  await recordSyncJobErrors(job.id, batchErrors);
+
+  return { processed: results.length, batchErrors, outcomes };
+}
+
+// Sends the stock alerts a job's batches raised in one message, whether it
+// completed or stopped
+async function sendJobStockAlerts(job) {
+  if (!isDryRun(job)) {
+    await notifyStockAlertsSince(job.shop, job.startedAt);
+  }
+}
+
+// Completion message of a sync job with what its writes did, or for a dry
+// run, would do
+async function finishWithOutcomes(job, summary) {
+  const current = await findSyncJob(job.shop, job.id);
+  const outcomes = `${current.writtenVariants} updated, ${current.createdVariants} created, ${current.skippedVariants} unchanged`;
+
+  await finishSyncJob(job.id, {
+    status: "completed",
+    message: isDryRun(job)
+      ? `Dry run — ${summary}. Planned: ${outcomes}. Nothing was written.`
+      : `${summary}: ${outcomes}`
+  });
+  await sendJobStockAlerts(job);
+}
+
+// Records a failed page and stops the job. The cursor of the last completed
+// page stays on the job, so the run can be resumed from there.
+async function stopAtBatch(job, batchCount, batchError) {
+  const errorInfo = {
+    batch: batchCount,
+    error: batchError.message,
+    type: 'batchError'
+  };
+  await recordSyncJobErrors(job.id, [errorInfo]);
+  console.error(`Error processing batch ${batchCount}:`, batchError);
+
+  // The failed batch is fetched again on resume, so it no longer counts
+  await updateSyncJob(job.id, { currentBatch: batchCount - 1 });
+  await finishSyncJob(job.id, {
+    status: "failed",
+    message: `Stopped at batch ${batchCount}: ${batchError.message}. Resume to continue from the last completed page.`
+  });
+  await sendJobStockAlerts(job);
+
+  return errorInfo;
+}
+
+// Ends a job that was asked to pause or cancel. Like a failed page, the
+// interrupted batch is run again on resume, after the saved cursor.
+async function stopOnRequest(job, batchCount, stopRequest) {
+  const status = stopRequest.control === "cancel" ? "cancelled" : "paused";
+  console.log(`Job ${job.id} ${status} at batch ${batchCount}`);
+
+  await updateSyncJob(job.id, { currentBatch: batchCount - 1 });
+  await finishSyncJob(job.id, {
+    status,
+    message: status === "paused"
+      ? `Paused at batch ${batchCount}. Resume to continue from the last completed page.`
+      : `Cancelled at batch ${batchCount}. Pages up to batch ${batchCount - 1} were saved.`
+  });
+  await sendJobStockAlerts(job);
+
+  return { success: false, stopped: status, batchCount };
+}
+
+// Stores the shop's variant count (within the search query of a scoped
+// job) on the job as its total. A failed count is only logged; the job then
+// runs without a total.
+async function estimateVariantCount(admin, job, query = null) {
+  try {
+    const countQuery = `
+      query CountVariants($query: String) {
+        productVariantsCount(query: $query) {
+          count
+        }
+      }
+    `;
+
+    const countResponse = await admin.graphql(countQuery, { variables: { query } });
+    const countData = await countResponse.json();
+
+    if (countData.data?.productVariantsCount?.count) {
+      const totalVariants = countData.data.productVariantsCount.count;
+      await updateSyncJob(job.id, { totalVariants });
+      console.log(`Estimated total variants: ${totalVariants}`);
+      return totalVariants;
+    }
+  } catch (countError) {
+    console.error("Error estimating total variants:", countError);
+  }
+
+  return 0;
+}
+
+// Processes every variant of the shop for the given SyncJob. Progress,
+// cursor and errors are written to the job so any app instance can report
+// them. A resumed job starts after the cursor it has saved.
+export async function processVariantsInBackground(admin, job) {
+  try {
+    let hasNextPage = true;
+    let cursor = job.cursor;
+    let processedVariants = job.processedVariants;
+    let errors = [];
+    let batchCount = job.currentBatch;
+    let totalVariants = job.totalVariants;
+    const rules = await loadLocationRules(admin, await getShopSettings(job.shop));
+    const target = getMetafieldTarget(rules.settings);
+
+    // A scoped sync only pages through the variants its search query matches
+    const scope = getJobScope(job);
+    const query = scope ? scopeToQuery(scope) : null;
+
+    // Configuration
+    const BATCH_SIZE = 25; // Get 25 variants, with their inventory levels, at a time
+
+    // First, get an estimate of total variants
+    if (!totalVariants) {
+      totalVariants = await estimateVariantCount(admin, job, query);
+    }
+
+    if (scope) {
+      console.log(`Job ${job.id} is limited to ${describeSyncScope(scope)} (${query})`);
+    }
+
+    if (cursor) {
+      console.log(`Resuming job ${job.id} after batch ${batchCount}`);
+    }
+
+    while (hasNextPage) {
+      batchCount++;
+      await updateSyncJob(job.id, { currentBatch: batchCount });
+      console.log(`Fetching batch ${batchCount}...`);
+
+      try {
+        await checkSyncJobControl(job.id);
+
+        // Step 1: Get a batch of variants
+        const variantsQuery = `
+          query GetVariants($cursor: String, $query: String, $namespace: String!, $key: String!) {
+            productVariants(first: ${BATCH_SIZE}, after: $cursor, query: $query) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              edges {
+                node {
+                  ...VariantInventory
+                  metafield(namespace: $namespace, key: $key) {
+                    value
+                  }
+                }
+              }
+            }
+          }
+          ${VARIANT_INVENTORY_FRAGMENT}
+        `;
+
+        const readAt = new Date();
+        const variantsResponse = await admin.graphql(variantsQuery, {
+          variables: { cursor, query, ...target }
+        });
+        const variantsData = await variantsResponse.json();
+
+        const variants = variantsData.data.productVariants.edges.map(edge => toSyncVariant(edge.node));
+
+        // Step 2: Process variants in parallel within the batch
+        const { processed, batchErrors } = await processBatch(admin, job, rules, variants, batchCount, readAt);
+        processedVariants += processed;
+        errors.push(...batchErrors);
+
+        // Step 3: Checkpoint the completed page before moving on
+        hasNextPage = variantsData.data.productVariants.pageInfo.hasNextPage;
+        cursor = variantsData.data.productVariants.pageInfo.endCursor;
+
+        await updateSyncJob(job.id, { processedVariants, cursor });
+      } catch (batchError) {
+        if (batchError instanceof SyncJobStopRequested) {
+          return stopOnRequest(job, batchCount, batchError);
+        }
+        errors.push(await stopAtBatch(job, batchCount, batchError));
+        return { success: false, processedVariants, totalVariants, batchCount, errors };
+      }
+    }
+
+    // Mark processing as complete
+    await finishWithOutcomes(job, `Processed ${processedVariants} variants across ${batchCount} batches`);
+
+    console.log("Background processing completed successfully");
+    return { success: true, processedVariants, totalVariants, batchCount, errors };
+  } catch (error) {
+    console.error("Background processing failed:", error);
+
+    // Mark processing as complete even on error
+    await finishSyncJob(job.id, {
+      status: "failed",
+      message: `Failed to complete processing: ${error.message}`
+    });
+
+    return { success: false, error: error.message };
+  }
+}
+
+// Runs only the variants that failed in a previous job. Retry jobs keep the
+// number of ids already handled in `cursor`, so they resume the same way.
+export async function retryFailedVariants(admin, job, variantIds) {
+  try {
+    let offset = job.cursor ? parseInt(job.cursor, 10) : 0;
+    let processedVariants = job.processedVariants;
+    let batchCount = job.currentBatch;
+    let errors = [];
+    const rules = await loadLocationRules(admin, await getShopSettings(job.shop));
+    const target = getMetafieldTarget(rules.settings);
+
+    // Configuration
+    const BATCH_SIZE = 25;
+
+    await updateSyncJob(job.id, { totalVariants: variantIds.length });
+
+    while (offset < variantIds.length) {
+      batchCount++;
+      await updateSyncJob(job.id, { currentBatch: batchCount });
+
+      try {
+        await checkSyncJobControl(job.id);
+        const ids = variantIds.slice(offset, offset + BATCH_SIZE);
+        const variantsQuery = `
+          query GetVariantsById($ids: [ID!]!, $namespace: String!, $key: String!) {
+            nodes(ids: $ids) {
+              ...VariantInventory
+              ... on ProductVariant {
+                metafield(namespace: $namespace, key: $key) {
+                  value
+                }
+              }
+            }
+          }
+          ${VARIANT_INVENTORY_FRAGMENT}
+        `;
+
+        const readAt = new Date();
+        const variantsResponse = await admin.graphql(variantsQuery, { variables: { ids, ...target } });
+        const variantsData = await variantsResponse.json();
+
+        // Variants deleted since the failed run come back as null
+        const variants = variantsData.data.nodes.filter(node => node?.inventoryItem).map(toSyncVariant);
+
+        const { batchErrors } = await processBatch(admin, job, rules, variants, batchCount, readAt);
+        errors.push(...batchErrors);
+
+        offset += ids.length;
+        processedVariants += ids.length;
+        await updateSyncJob(job.id, { processedVariants, cursor: String(offset) });
+      } catch (batchError) {
+        if (batchError instanceof SyncJobStopRequested) {
+          return stopOnRequest(job, batchCount, batchError);
+        }
+        errors.push(await stopAtBatch(job, batchCount, batchError));
+        return { success: false, processedVariants, batchCount, errors };
+      }
+    }
+
+    await finishWithOutcomes(job, `Retried ${processedVariants} failed variants, ${errors.length} still failing`);
+
+    return { success: true, processedVariants, batchCount, errors };
+  } catch (error) {
+    console.error("Retrying failed variants failed:", error);
+
+    await finishSyncJob(job.id, {
+      status: "failed",
+      message: `Failed to retry variants: ${error.message}`
+    });
+
+    return { success: false, error: error.message };
+  }
+}
+
+const SNAPSHOT_WAITING_MESSAGE = "Waiting for Shopify to prepare the inventory snapshot";
+
+// Gets the bulk operation of a snapshot job to its result, starting it if
+// needed. Returns null when another instance (or the finish webhook) has
+// already claimed the result.
+async function awaitSnapshotResult(admin, job) {
+  let operationId = job.bulkOperationId;
+
+  if (!operationId) {
+    const settings = await getShopSettings(job.shop);
+    operationId = await startInventorySnapshot(admin, getMetafieldTarget(settings));
+    await updateSyncJob(job.id, {
+      bulkOperationId: operationId,
+      message: SNAPSHOT_WAITING_MESSAGE
+    });
+    console.log(`Started bulk operation ${operationId} for job ${job.id}`);
+  }
+
+  let stopControl = null;
+  const operation = await waitForBulkOperation(admin, operationId, {
+    shouldStop: async () => {
+      // Touching the job also keeps it from being expired as stale while
+      // Shopify prepares a large snapshot
+      const current = await updateSyncJob(job.id, { message: SNAPSHOT_WAITING_MESSAGE });
+      stopControl = current.control;
+      return current.bulkResultUrl !== null || current.status !== "running" || stopControl !== null;
+    }
+  });
+
+  // A paused job keeps its bulk operation and picks up its result on resume
+  if (!operation && stopControl) throw new SyncJobStopRequested(stopControl);
+  if (!operation) return null;
+
+  if (operation.status !== "COMPLETED") {
+    throw new Error(`Bulk operation ${operation.status.toLowerCase()}: ${operation.errorCode || "unknown error"}`);
+  }
+
+  return (await claimBulkResult(job.id, operation.url)) ? operation.url || "" : null;
+}
+
+// When the levels in a snapshot job's result were read: the creation of its
+// bulk operation, or if that cannot be looked up, the start of the job, which
+// came before it
+async function snapshotReadAt(admin, job) {
+  const { bulkOperationId } = await findSyncJob(job.shop, job.id);
+  const operation = bulkOperationId ? await getBulkOperation(admin, bulkOperationId) : null;
+
+  return operation?.createdAt ? new Date(operation.createdAt) : job.startedAt;
+}
+
+// Syncs the whole catalog from one bulk operation instead of paging through
+// variants. The result file is read as it downloads, one batch at a time.
+// The cursor of a snapshot job is the number of variants of the file that
+// have been written, so a resumed job skips those.
+export async function processSnapshotInBackground(admin, job, resultUrl = job.bulkResultUrl) {
+  try {
+    let url = resultUrl;
+
+    if (url === null) {
+      url = await awaitSnapshotResult(admin, job);
+      if (url === null) {
+        console.log(`Bulk result of job ${job.id} is handled elsewhere`);
+        return { success: true, handledElsewhere: true };
+      }
+    }
+
+    const rules = await loadLocationRules(admin, await getShopSettings(job.shop));
+    const readAt = await snapshotReadAt(admin, job);
+    const skip = job.cursor ? parseInt(job.cursor, 10) : 0;
+    let offset = skip;
+    let readVariants = 0;
+    let batch = [];
+    let batchCount = job.currentBatch;
+    let errors = [];
+
+    // Configuration
+    const BATCH_SIZE = 50;
+
+    // The file does not say how many variants it holds until it is read
+    await updateSyncJob(job.id, { message: null });
+    if (!job.totalVariants) {
+      await estimateVariantCount(admin, job);
+    }
+
+    // Writes the collected batch. Returns the result of the run when it had
+    // to stop, otherwise null.
+    const writeBatch = async () => {
+      batchCount++;
+      await updateSyncJob(job.id, { currentBatch: batchCount });
+
+      try {
+        await checkSyncJobControl(job.id);
+        const { batchErrors } = await processBatch(admin, job, rules, batch, batchCount, readAt);
+        errors.push(...batchErrors);
+
+        offset += batch.length;
+        batch = [];
+        await updateSyncJob(job.id, { processedVariants: offset, cursor: String(offset) });
+        return null;
+      } catch (batchError) {
+        if (batchError instanceof SyncJobStopRequested) {
+          return stopOnRequest(job, batchCount, batchError);
+        }
+        errors.push(await stopAtBatch(job, batchCount, batchError));
+        return { success: false, processedVariants: offset, batchCount, errors };
+      }
+    };
+
+    for await (const variant of readInventorySnapshot(url)) {
+      readVariants++;
+      if (readVariants <= skip) continue;
+
+      batch.push(variant);
+      if (batch.length === BATCH_SIZE) {
+        const stopped = await writeBatch();
+        if (stopped) return stopped;
+      }
+    }
+
+    if (batch.length > 0) {
+      const stopped = await writeBatch();
+      if (stopped) return stopped;
+    }
+
+    await updateSyncJob(job.id, { totalVariants: readVariants });
+    console.log(`Snapshot for job ${job.id} had ${readVariants} variants`);
+    await finishWithOutcomes(job, `Processed ${offset} variants across ${batchCount} batches`);
+
+    console.log("Snapshot processing completed successfully");
+    return { success: true, processedVariants: offset, totalVariants: readVariants, batchCount, errors };
+  } catch (error) {
+    if (error instanceof SyncJobStopRequested) {
+      return stopOnRequest(job, job.currentBatch + 1, error);
+    }
+
+    console.error("Snapshot processing failed:", error);
+
+    await finishSyncJob(job.id, {
+      status: "failed",
+      message: `Failed to complete processing: ${error.message}`
+    });
+
+    return { success: false, error: error.message };
+  }
+}
+
+// Called by the bulk_operations/finish webhook. Claims the result of the
+// matching job and writes it, unless the polling instance got there first.
+export async function handleFinishedBulkOperation(admin, job, operationId) {
+  const operation = await getBulkOperation(admin, operationId);
+
+  if (operation.status !== "COMPLETED") {
+    await finishSyncJob(job.id, {
+      status: "failed",
+      message: `Bulk operation ${operation.status.toLowerCase()}: ${operation.errorCode || "unknown error"}`
+    });
+    return;
+  }
+
+  if (await claimBulkResult(job.id, operation.url)) {
+    await processSnapshotInBackground(admin, job, operation.url || "");
+  }
+}
+
+// Compares every variant's stored metafield value with its live inventory
+// levels and records the differences as DriftEntry rows. With the `repair`
+// option, only the variants that differ are written again; with `dryRun`,
+// their repair is planned instead (see syncPlan.server.js). Paged like a full
+// sync, so a stopped run resumes after its cursor.
+export async function reconcileInventory(admin, job) {
+  try {
+    const { repair } = JSON.parse(job.options || "{}");
+    const dryRun = isDryRun(job);
+    const settings = await getShopSettings(job.shop);
+    const rules = await loadLocationRules(admin, settings);
+    const target = getMetafieldTarget(settings);
+    let hasNextPage = true;
+    let cursor = job.cursor;
+    let processedVariants = job.processedVariants;
+    let batchCount = job.currentBatch;
+
+    // Configuration
+    const BATCH_SIZE = 25;
+
+    if (!job.totalVariants) {
+      await estimateVariantCount(admin, job);
+    }
+
+    while (hasNextPage) {
+      batchCount++;
+      await updateSyncJob(job.id, { currentBatch: batchCount });
+
+      try {
+        await checkSyncJobControl(job.id);
+
+        // Step 1: Get a batch of variants with their stored value
+        const variantsQuery = `
+          query GetVariantsForReconcile($cursor: String, $namespace: String!, $key: String!) {
+            productVariants(first: ${BATCH_SIZE}, after: $cursor) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              edges {
+                node {
+                  ...VariantInventory
+                  metafield(namespace: $namespace, key: $key) {
+                    value
+                  }
+                }
+              }
+            }
+          }
+          ${VARIANT_INVENTORY_FRAGMENT}
+        `;
+
+        const readAt = new Date();
+        const variantsResponse = await admin.graphql(variantsQuery, {
+          variables: { cursor, ...target }
+        });
+        const variantsData = await variantsResponse.json();
+
+        const { edges, pageInfo } = variantsData.data.productVariants;
+
+        // Step 2: Refresh the local snapshot with the live inventory levels,
+        // then compare the stored and the live value of every variant. A
+        // missing or unreadable value counts as storing no locations. A
+        // variant whose levels cannot be read is recorded and skipped.
+        const loaded = await parallelLimit(
+          edges.map(edge => async () => {
+            await checkSyncJobControl(job.id);
+            const variant = toSyncVariant(edge.node);
+
+            try {
+              return await loadVariantLevels(admin, variant);
+            } catch (variantError) {
+              console.error(`Error processing variant ${variant.id}:`, variantError.message);
+              return { ownerId: variant.id, error: variantError.message };
+            }
+          }),
+          settings.syncConcurrency
+        );
+        await recordSyncJobErrors(job.id, loaded
+          .filter(variant => variant.error)
+          .map(variant => ({ variantId: variant.ownerId, error: variant.error, type: 'apiError' })));
+        const variants = loaded.filter(variant => !variant.error);
+        await storeVariants(job.shop, variants, readAt);
+        if (!dryRun) {
+          await checkStockAlerts(job.shop, variants.map(variant => variant.id), { notify: false });
+        }
+        const values = await buildSnapshotPayloads(job.shop, variants.map(variant => variant.id), rules);
+
+        const drifted = [];
+        variants.forEach(variant => {
+          const actual = values.get(variant.id);
+
+          let stored = buildLocationsPayload([]);
+          try {
+            if (variant.previousValue) {
+              stored = parseLocationsPayload(variant.previousValue);
+            }
+          } catch (parseError) {
+            console.warn(`Stored value of ${variant.id} cannot be read: ${parseError.message}`);
+          }
+
+          const drift = findLocationDrift(stored, actual);
+          if (drift.length > 0) {
+            drifted.push({
+              variantId: variant.id,
+              drift,
+              value: actual,
+              previousValue: variant.previousValue
+            });
+          }
+        });
+
+        await recordDriftEntries(job.id, drifted);
+
+        // Step 3: Write the live value of the variants that drifted, or plan
+        // to on a dry run
+        if (dryRun && drifted.length > 0) {
+          await planWrites(admin, job, drifted.map(entry => ({
+            ownerId: entry.variantId,
+            value: entry.value,
+            previousValue: entry.previousValue
+          })), target);
+        } else if (repair && drifted.length > 0) {
+          const results = await writeLocationMetafields(
+            admin,
+            drifted.map(entry => ({
+              ownerId: entry.variantId,
+              value: entry.value,
+              previousValue: entry.previousValue
+            })),
+            target,
+            jobAudit(job)
+          );
+
+          await markDriftRepaired(
+            job.id,
+            results.filter(result => result.success).map(result => result.ownerId)
+          );
+          await recordSyncJobErrors(job.id, results
+            .filter(result => !result.success)
+            .map(result => result.type === 'userError'
+              ? { variantId: result.ownerId, errors: result.errors, type: 'userError' }
+              : { variantId: result.ownerId, error: result.error, type: 'apiError' }));
+        }
+
+        processedVariants += edges.length;
+        hasNextPage = pageInfo.hasNextPage;
+        cursor = pageInfo.endCursor;
+        await updateSyncJob(job.id, { processedVariants, cursor });
+      } catch (batchError) {
+        if (batchError instanceof SyncJobStopRequested) {
+          return stopOnRequest(job, batchCount, batchError);
+        }
+        await stopAtBatch(job, batchCount, batchError);
+        return { success: false, processedVariants, batchCount };
+      }
+    }
+
+    const summary = await getDriftSummary(job.id);
+    const repaired = dryRun
+      ? `. Dry run: ${summary.variantCount} repairs planned, nothing was written`
+      : repair ? `, repaired ${summary.repairedVariantCount}` : "";
+
+    await finishSyncJob(job.id, {
+      status: "completed",
+      message: `Checked ${processedVariants} variants: ${summary.variantCount} out of sync across ${summary.total} locations${repaired}`
+    });
+    await sendJobStockAlerts(job);
+
+    return { success: true, processedVariants, batchCount };
+  } catch (error) {
+    console.error("Reconciliation failed:", error);
+
+    await finishSyncJob(job.id, {
+      status: "failed",
+      message: `Failed to reconcile inventory: ${error.message}`
+    });
+
+    return { success: false, error: error.message };
+  }
+}
+
+// Copies every variant's locations metafield from the previous namespace/key
+// (kept in the job options) to the one in the shop settings, then deletes the
+// old metafield. Like a paged sync, the cursor is the last completed page.
+export async function migrateMetafieldValues(admin, job) {
+  try {
+    const { from } = JSON.parse(job.options);
+    const target = getMetafieldTarget(await getShopSettings(job.shop));
+    let hasNextPage = true;
+    let cursor = job.cursor;
+    let processedVariants = job.processedVariants;
+    let batchCount = job.currentBatch;
+    let migrated = 0;
+
+    // Configuration
+    const BATCH_SIZE = 100;
+
+    while (hasNextPage) {
+      batchCount++;
+      await updateSyncJob(job.id, { currentBatch: batchCount });
+
+      try {
+        await checkSyncJobControl(job.id);
+
+        const variantsQuery = `
+          query GetVariantMetafields($cursor: String, $namespace: String!, $key: String!) {
+            productVariants(first: ${BATCH_SIZE}, after: $cursor) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              edges {
+                node {
+                  id
+                  metafield(namespace: $namespace, key: $key) {
+                    value
+                  }
+                }
+              }
+            }
+          }
+        `;
+
+        const variantsResponse = await admin.graphql(variantsQuery, {
+          variables: { cursor, namespace: from.namespace, key: from.key }
+        });
+        const variantsData = await variantsResponse.json();
+        const { edges, pageInfo } = variantsData.data.productVariants;
+
+        // Old values are brought to the current payload version on the way
+        const entries = [];
+        const unreadable = [];
+        edges
+          .filter(edge => edge.node.metafield?.value)
+          .forEach(edge => {
+            try {
+              entries.push({
+                ownerId: edge.node.id,
+                value: parseLocationsPayload(edge.node.metafield.value),
+                previousValue: edge.node.metafield.value
+              });
+            } catch (parseError) {
+              unreadable.push({ variantId: edge.node.id, error: parseError.message, type: 'apiError' });
+            }
+          });
+
+        const results = await writeLocationMetafields(admin, entries, target, jobAudit(job));
+        const batchErrors = [...unreadable, ...results
+          .filter(result => !result.success)
+          .map(result => result.type === 'userError'
+            ? { variantId: result.ownerId, errors: result.errors, type: 'userError' }
+            : { variantId: result.ownerId, error: result.error, type: 'apiError' })];
+        await recordSyncJobErrors(job.id, batchErrors);
+
+        // Only remove old values that made it to the new metafield
+        const copied = results.filter(result => result.success).map(result => result.ownerId);
+        await deleteLocationMetafields(admin, copied, from);
+        migrated += copied.length;
+
+        processedVariants += edges.length;
+        hasNextPage = pageInfo.hasNextPage;
+        cursor = pageInfo.endCursor;
+        await updateSyncJob(job.id, { processedVariants, cursor });
+      } catch (batchError) {
+        if (batchError instanceof SyncJobStopRequested) {
+          return stopOnRequest(job, batchCount, batchError);
+        }
+        await stopAtBatch(job, batchCount, batchError);
+        return { success: false, processedVariants, batchCount };
+      }
+    }
+
+    await finishSyncJob(job.id, {
+      status: "completed",
+      message: `Moved ${migrated} metafield values from ${from.namespace}.${from.key} to ${target.namespace}.${target.key}`
+    });
+
+    return { success: true, processedVariants, batchCount };
+  } catch (error) {
+    console.error("Metafield migration failed:", error);
+
+    await finishSyncJob(job.id, {
+      status: "failed",
+      message: `Failed to migrate metafield values: ${error.message}`
+    });
+
+    return { success: false, error: error.message };
+  }
+}
+
+// Writes the plan of a dry run (the parent job) exactly as it was planned.
+// Apply jobs keep the number of plan rows written in `cursor`, so they resume
+// like retry jobs.
+export async function applySyncPlan(admin, job) {
+  try {
+    let offset = job.cursor ? parseInt(job.cursor, 10) : 0;
+    let batchCount = job.currentBatch;
+    let errors = [];
+    const target = getMetafieldTarget(await getShopSettings(job.shop));
+    const { total } = await getPlanSummary(job.parentJobId);
+
+    // Configuration
+    const BATCH_SIZE = 25;
+
+    await updateSyncJob(job.id, { totalVariants: total });
+
+    while (offset < total) {
+      batchCount++;
+      await updateSyncJob(job.id, { currentBatch: batchCount });
+
+      try {
+        await checkSyncJobControl(job.id);
+        const planEntries = await getPlanEntriesPage(job.parentJobId, offset, BATCH_SIZE);
+        const changes = new Map(planEntries.map(entry => [entry.variantId, entry.change]));
+
+        const results = await writeLocationMetafields(
+          admin,
+          planEntries.map(entry => ({
+            ownerId: entry.variantId,
+            value: JSON.parse(entry.newValue),
+            previousValue: entry.oldValue
+          })),
+          target,
+          jobAudit(job)
+        );
+
+        const written = results.filter(result => result.success);
+        await updateSyncJob(job.id, {
+          writtenVariants: { increment: written.filter(result => changes.get(result.ownerId) === "update").length },
+          createdVariants: { increment: written.filter(result => changes.get(result.ownerId) === "create").length }
+        });
+
+        const batchErrors = results
+          .filter(result => !result.success)
+          .map(result => result.type === 'userError'
+            ? { variantId: result.ownerId, errors: result.errors, type: 'userError' }
+            : { variantId: result.ownerId, error: result.error, type: 'apiError' });
+        await recordSyncJobErrors(job.id, batchErrors);
+        errors.push(...batchErrors);
+
+        offset += planEntries.length;
+        await updateSyncJob(job.id, { processedVariants: offset, cursor: String(offset) });
+
+        // The plan cannot shrink, but a page that comes back empty must not
+        // loop forever
+        if (planEntries.length === 0) break;
+      } catch (batchError) {
+        if (batchError instanceof SyncJobStopRequested) {
+          return stopOnRequest(job, batchCount, batchError);
+        }
+        errors.push(await stopAtBatch(job, batchCount, batchError));
+        return { success: false, processedVariants: offset, batchCount, errors };
+      }
+    }
+
+    const current = await findSyncJob(job.shop, job.id);
+    await finishSyncJob(job.id, {
+      status: "completed",
+      message: `Applied the dry run plan: ${current.writtenVariants} updated, ${current.createdVariants} created, ${errors.length} failed`
+    });
+
+    return { success: true, processedVariants: offset, batchCount, errors };
+  } catch (error) {
+    console.error("Applying the sync plan failed:", error);
+
+    await finishSyncJob(job.id, {
+      status: "failed",
+      message: `Failed to apply the plan: ${error.message}`
+    });
+
+    return { success: false, error: error.message };
+  }
+}
+
+// Runs a started or resumed job with the runner for its mode
+export async function runSyncJob(admin, job) {
+  switch (job.mode) {
+    case "retry":
+      return retryFailedVariants(admin, job, await getFailedVariantIds(job.parentJobId));
+    case "bulk":
+      return processSnapshotInBackground(admin, job);
+    case "migrate":
+      return migrateMetafieldValues(admin, job);
+    case "reconcile":
+      return reconcileInventory(admin, job);
+    case "apply":
+      return applySyncPlan(admin, job);
+    default:
+      return processVariantsInBackground(admin, job);
+  }
+}
+
+// Switches the shop to a new namespace/key. The new definition is created or
+// validated first, then a migrate job moves the existing values over in the
+// background. Returns the started job, or null when nothing changed.
+export async function changeMetafieldTarget(admin, shop, target) {
+  const settings = await getShopSettings(shop);
+  const from = getMetafieldTarget(settings);
+
+  if (from.namespace === target.namespace && from.key === target.key) {
+    return { job: null, alreadyRunning: false };
+  }
+
+  await ensureLocationsMetafieldDefinition(admin, target);
+
+  // Migration writes go to the new target while a running sync would still
+  // write to the old one, so wait for it to finish
+  const started = await startSyncJob(shop, {
+    mode: "migrate",
+    options: JSON.stringify({ from })
+  });
+
+  if (started.alreadyRunning) {
+    return started;
+  }
+
+  await updateShopSettings(shop, {
+    metafieldNamespace: target.namespace,
+    metafieldKey: target.key
+  });
+
+  runSyncJob(admin, started.job).catch(error => {
+    console.error("Unhandled error in metafield migration:", error);
+  });
+
+  return started;
+}
@@ -0,0 +1,397 @@
+import db from "../db.server";
+import { describeJobScope } from "./syncScope.server";
+
+// A running job that has not been touched for this long belongs to a process
+// that is gone (server restart, crashed container), so it is marked interrupted.
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+// How many error rows are sent back with each progress response
+const PROGRESS_ERROR_LIMIT = 100;
+
+// Running jobs look for a pause or cancel request at most this often
+const CONTROL_CHECK_MS = 1000;
+
+// Progress reads look for stale jobs at most this often per shop
+const STALE_CHECK_MS = 60 * 1000;
+
+async function expireStaleJobs(shop) {
+  await db.syncJob.updateMany({
+    where: {
+      shop,
+      status: "running",
+      updatedAt: { lt: new Date(Date.now() - STALE_JOB_MS) },
+    },
+    data: {
+      status: "interrupted",
+      completedAt: new Date(),
+      message: "Sync stopped responding and was marked as interrupted",
+    },
+  });
+}
+
+export async function findRunningSyncJob(shop) {
+  await expireStaleJobs(shop);
+
+  return db.syncJob.findFirst({
+    where: { shop, status: "running" },
+    orderBy: { startedAt: "desc" },
+  });
+}
+
+// Job statuses a run can be resumed from. The cursor of the last completed
+// page is kept on the job, so resuming continues with the following page.
+const RESUMABLE_STATUSES = ["failed", "interrupted", "paused"];
+
+// Creates a new running job for the shop, unless one is already running on
+// any instance of the app. `data` sets the mode and parent of retry jobs.
+export async function startSyncJob(shop, data = {}) {
+  await expireStaleJobs(shop);
+
+  return db.$transaction(async (tx) => {
+    const running = await tx.syncJob.findFirst({
+      where: { shop, status: "running" },
+    });
+
+    if (running) {
+      return { job: running, alreadyRunning: true };
+    }
+
+    const job = await tx.syncJob.create({ data: { ...data, shop } });
+    return { job, alreadyRunning: false };
+  });
+}
+
+// Puts a stopped job back into the running state without touching its
+// cursor or counts. `job` is null when there is nothing to resume.
+export async function resumeSyncJob(shop, jobId) {
+  await expireStaleJobs(shop);
+
+  return db.$transaction(async (tx) => {
+    const running = await tx.syncJob.findFirst({
+      where: { shop, status: "running" },
+    });
+
+    if (running) {
+      return { job: running, alreadyRunning: true };
+    }
+
+    const stopped = await tx.syncJob.findFirst({
+      where: { id: jobId, shop, status: { in: RESUMABLE_STATUSES } },
+    });
+
+    if (!stopped) {
+      return { job: null, alreadyRunning: false };
+    }
+
+    const job = await tx.syncJob.update({
+      where: { id: stopped.id },
+      data: { status: "running", control: null, completedAt: null, message: null },
+    });
+    return { job, alreadyRunning: false };
+  });
+}
+
+// Thrown inside a running job once a pause or cancel was requested for it
+export class SyncJobStopRequested extends Error {
+  constructor(control) {
+    super(control === "cancel" ? "Cancelled" : "Paused");
+    this.name = "SyncJobStopRequested";
+    this.control = control;
+  }
+}
+
+// Asks a running job to pause or cancel. The job stops at its next check;
+// a paused job has nothing left to stop, so cancelling it takes effect at
+// once. Returns false when the job is in neither state.
+export async function requestSyncJobControl(shop, jobId, control) {
+  const running = await db.syncJob.updateMany({
+    where: { id: jobId, shop, status: "running" },
+    data: { control },
+  });
+
+  if (running.count > 0) return true;
+  if (control !== "cancel") return false;
+
+  const paused = await db.syncJob.updateMany({
+    where: { id: jobId, shop, status: "paused" },
+    data: {
+      status: "cancelled",
+      control: null,
+      completedAt: new Date(),
+      message: "Cancelled while paused",
+    },
+  });
+
+  return paused.count > 0;
+}
+
+const controlChecks = new Map();
+
+// Throws SyncJobStopRequested when the job was asked to pause or cancel.
+// Called between batches and between variant tasks; the database is read at
+// most once per CONTROL_CHECK_MS for each job.
+export async function checkSyncJobControl(jobId) {
+  let check = controlChecks.get(jobId);
+
+  if (!check || Date.now() - check.checkedAt > CONTROL_CHECK_MS) {
+    const job = await db.syncJob.findUnique({
+      where: { id: jobId },
+      select: { control: true },
+    });
+    check = { control: job?.control || null, checkedAt: Date.now() };
+    controlChecks.set(jobId, check);
+  }
+
+  if (check.control) {
+    throw new SyncJobStopRequested(check.control);
+  }
+}
+
+export async function findSyncJob(shop, jobId) {
+  return db.syncJob.findFirst({ where: { id: jobId, shop } });
+}
+
+// Ids of the variants that failed in the given job, in the order they failed
+export async function getFailedVariantIds(jobId) {
+  const rows = await db.syncJobError.findMany({
+    where: { jobId, variantId: { not: null } },
+    distinct: ["variantId"],
+    orderBy: { id: "asc" },
+    select: { variantId: true },
+  });
+
+  return rows.map((row) => row.variantId);
+}
+
+export async function findSyncJobByBulkOperation(shop, bulkOperationId) {
+  return db.syncJob.findFirst({
+    where: { shop, bulkOperationId, status: "running" },
+  });
+}
+
+// Stores the result URL of a finished bulk operation on the job. Both the
+// polling instance and the bulk_operations/finish webhook try this; only the
+// one that sets it first goes on to write the metafields.
+export async function claimBulkResult(jobId, url) {
+  const { count } = await db.syncJob.updateMany({
+    where: { id: jobId, status: "running", bulkResultUrl: null },
+    data: { bulkResultUrl: url || "" },
+  });
+
+  return count === 1;
+}
+
+export async function updateSyncJob(jobId, data) {
+  return db.syncJob.update({ where: { id: jobId }, data });
+}
+
+export async function recordSyncJobErrors(jobId, errors) {
+  if (errors.length === 0) return;
+
+  await db.syncJobError.createMany({
+    data: errors.map((error) => ({
+      jobId,
+      type: error.type,
+      variantId: error.variantId || null,
+      batch: error.batch ?? null,
+      message: error.error || error.errors?.map((e) => e.message).join(", ") || "Unknown error",
+      details: error.errors ? JSON.stringify(error.errors) : null,
+    })),
+  });
+}
+
+export async function finishSyncJob(jobId, { status, message }) {
+  controlChecks.delete(jobId);
+
+  return db.syncJob.update({
+    where: { id: jobId },
+    data: { status, message, control: null, completedAt: new Date() },
+  });
+}
+
+const staleChecks = new Map();
+
+// The latest job the Index page reports on. Webhook runs are only listed in
+// the sync history. Progress streams read it every second, so stale jobs are
+// only looked for once per STALE_CHECK_MS.
+export async function getLatestSyncJob(shop) {
+  const checkedAt = staleChecks.get(shop);
+  if (!checkedAt || Date.now() - checkedAt > STALE_CHECK_MS) {
+    staleChecks.set(shop, Date.now());
+    await expireStaleJobs(shop);
+  }
+
+  return db.syncJob.findFirst({
+    where: { shop, trigger: { not: "webhook" } },
+    orderBy: { startedAt: "desc" },
+  });
+}
+
+// Webhook updates within this long of the first one are listed as one run
+const WEBHOOK_RUN_WINDOW_MS = 60 * 60 * 1000;
+
+function describeWebhookRun(processedVariants, failed) {
+  return failed > 0
+    ? `Applied inventory updates to ${processedVariants - failed} of ${processedVariants} items`
+    : `Applied inventory updates to ${processedVariants} items`;
+}
+
+// Stores an inventory queue drain as a finished job, so webhook updates are
+// listed in the sync history next to manual and scheduled runs. Drains of the
+// same hour add to one job instead of a row each. Failed items stay in the
+// queue and are retried there.
+export async function recordWebhookRun(shop, { startedAt, processedVariants, errors }) {
+  const current = await db.syncJob.findFirst({
+    where: {
+      shop,
+      trigger: "webhook",
+      startedAt: { gt: new Date(Date.now() - WEBHOOK_RUN_WINDOW_MS) },
+    },
+    orderBy: { startedAt: "desc" },
+  });
+
+  if (!current) {
+    const job = await db.syncJob.create({
+      data: {
+        shop,
+        mode: "webhook",
+        trigger: "webhook",
+        status: "completed",
+        totalVariants: processedVariants,
+        processedVariants,
+        startedAt,
+        completedAt: new Date(),
+        message: describeWebhookRun(processedVariants, errors.length),
+      },
+    });
+
+    await recordSyncJobErrors(job.id, errors);
+    return job;
+  }
+
+  await recordSyncJobErrors(current.id, errors);
+  const total = current.processedVariants + processedVariants;
+  const failed = await db.syncJobError.count({ where: { jobId: current.id } });
+
+  return db.syncJob.update({
+    where: { id: current.id },
+    data: {
+      totalVariants: total,
+      processedVariants: total,
+      completedAt: new Date(),
+      message: describeWebhookRun(total, failed),
+    },
+  });
+}
+
+// Past runs of the shop for the history page, newest first, with the number
+// of errors each recorded
+export async function listSyncJobs(shop, { limit = 50 } = {}) {
+  await expireStaleJobs(shop);
+
+  return db.syncJob.findMany({
+    where: { shop },
+    orderBy: { startedAt: "desc" },
+    take: limit,
+    include: { _count: { select: { errors: true } } },
+  });
+}
+
+export async function getSyncJobErrors(jobId) {
+  return db.syncJobError.findMany({
+    where: { jobId },
+    orderBy: { id: "asc" },
+  });
+}
+
+// Converts a stored error row back into the shape the Index page renders
+function serializeSyncJobError(row) {
+  if (row.type === "userError") {
+    return {
+      type: row.type,
+      variantId: row.variantId,
+      errors: row.details ? JSON.parse(row.details) : [{ message: row.message }],
+    };
+  }
+
+  if (row.type === "batchError") {
+    return { type: row.type, batch: row.batch, error: row.message };
+  }
+
+  return { type: row.type, variantId: row.variantId, error: row.message };
+}
+
+// Errors recorded for a job after the error row `afterId`, oldest first, in
+// the shape getSyncJobProgress uses. Each one carries its row id so a reader
+// can continue after it.
+export async function getSyncJobErrorsAfter(jobId, afterId) {
+  const rows = await db.syncJobError.findMany({
+    where: { jobId, id: { gt: afterId } },
+    orderBy: { id: "asc" },
+    take: PROGRESS_ERROR_LIMIT,
+  });
+
+  return rows.map((row) => ({ id: row.id, ...serializeSyncJobError(row) }));
+}
+
+// Builds the progress payload the Index page renders
+export async function getSyncJobProgress(job) {
+  if (!job) {
+    return {
+      processedVariants: 0,
+      totalVariants: 0,
+      isProcessing: false,
+      currentBatch: 0,
+      errors: [],
+      errorCounts: {},
+    };
+  }
+
+  const [errorRows, errorGroups] = await Promise.all([
+    db.syncJobError.findMany({
+      where: { jobId: job.id },
+      orderBy: { id: "asc" },
+      take: PROGRESS_ERROR_LIMIT,
+    }),
+    db.syncJobError.groupBy({
+      by: ["type"],
+      where: { jobId: job.id },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const isProcessing = job.status === "running";
+  const failedVariantCount =
+    (errorGroups.find((group) => group.type === "apiError")?._count._all || 0) +
+    (errorGroups.find((group) => group.type === "userError")?._count._all || 0);
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    mode: job.mode,
+    trigger: job.trigger,
+    scope: describeJobScope(job),
+    canResume: RESUMABLE_STATUSES.includes(job.status),
+    isPaused: job.status === "paused",
+    controlRequested: job.control,
+    failedVariantCount: isProcessing ? 0 : failedVariantCount,
+    processedVariants: job.processedVariants,
+    totalVariants: job.totalVariants,
+    outcomes: {
+      skipped: job.skippedVariants,
+      written: job.writtenVariants,
+      created: job.createdVariants,
+    },
+    isProcessing,
+    currentBatch: job.currentBatch,
+    errors: errorRows.map(serializeSyncJobError),
+    errorCounts: Object.fromEntries(
+      errorGroups.map((group) => [group.type, group._count._all])
+    ),
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    actionCompleted: !isProcessing,
+    success: job.status === "completed",
+    message: job.message,
+  };
+}
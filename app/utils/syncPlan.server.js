@@ -0,0 +1,114 @@
+import db from "../db.server";
+
+// A dry run (a bulk, scoped or reconcile job with the `dryRun` option) writes
+// nothing. It stores the metafield value it would write for every changed
+// variant as a SyncPlanEntry, and an apply job (mode "apply", with the dry
+// run as its parent) writes exactly those values later.
+
+// How many plan rows the plan page shows
+const PLAN_PAGE_LIMIT = 250;
+
+export const PLAN_CHANGES = ["create", "update"];
+
+export function isDryRun(job) {
+  return JSON.parse(job?.options || "{}").dryRun === true;
+}
+
+// `entries` are `{ variantId, change, oldValue, newValue }` with the old value
+// as the stored JSON text and the new one as a payload. Like drift rows, a
+// page planned again after a resume replaces the rows it recorded before.
+export async function recordPlanEntries(jobId, entries) {
+  if (entries.length === 0) return;
+
+  await db.$transaction([
+    db.syncPlanEntry.deleteMany({
+      where: { jobId, variantId: { in: entries.map((entry) => entry.variantId) } },
+    }),
+    db.syncPlanEntry.createMany({
+      data: entries.map((entry) => ({
+        jobId,
+        variantId: entry.variantId,
+        change: entry.change,
+        oldValue: entry.oldValue || null,
+        newValue: JSON.stringify(entry.newValue),
+      })),
+    }),
+  ]);
+}
+
+function planWhere(jobId, { change, variant } = {}) {
+  return {
+    jobId,
+    ...(PLAN_CHANGES.includes(change) ? { change } : {}),
+    ...(variant ? { variantId: { contains: variant } } : {}),
+  };
+}
+
+// Number of planned creates and updates of a dry run
+export async function getPlanSummary(jobId) {
+  const groups = await db.syncPlanEntry.groupBy({
+    by: ["change"],
+    where: { jobId },
+    _count: { _all: true },
+  });
+  const count = (change) => groups.find((group) => group.change === change)?._count._all || 0;
+
+  return { create: count("create"), update: count("update"), total: count("create") + count("update") };
+}
+
+// Plan rows for the plan page, filtered by change and by part of the variant
+// id, with the number of rows that match
+export async function getSyncPlan(jobId, filter) {
+  const where = planWhere(jobId, filter);
+  const [entries, total] = await Promise.all([
+    db.syncPlanEntry.findMany({ where, orderBy: { id: "asc" }, take: PLAN_PAGE_LIMIT }),
+    db.syncPlanEntry.count({ where }),
+  ]);
+
+  return { entries, total };
+}
+
+// Every plan row matching the filter, for the CSV export
+export async function getAllPlanEntries(jobId, filter) {
+  return db.syncPlanEntry.findMany({
+    where: planWhere(jobId, filter),
+    orderBy: { id: "asc" },
+  });
+}
+
+// One page of plan rows for an apply job, which keeps its offset as cursor
+export async function getPlanEntriesPage(jobId, offset, take) {
+  return db.syncPlanEntry.findMany({
+    where: { jobId },
+    orderBy: { id: "asc" },
+    skip: offset,
+    take,
+  });
+}
+
+// The apply job of a dry run, if it has been applied or is being applied
+export async function findPlanApplication(shop, planJobId) {
+  return db.syncJob.findFirst({
+    where: { shop, mode: "apply", parentJobId: planJobId },
+    orderBy: { startedAt: "desc" },
+  });
+}
+
+// What the Index page shows for a finished dry run. Returns null for other
+// jobs.
+export async function getPlanReport(job) {
+  if (!isDryRun(job) || job.status !== "completed") return null;
+
+  const [summary, application] = await Promise.all([
+    getPlanSummary(job.id),
+    findPlanApplication(job.shop, job.id),
+  ]);
+
+  return {
+    jobId: job.id,
+    ...summary,
+    unchanged: job.skippedVariants,
+    // A cancelled apply can be started again; a stopped one is resumed
+    canApply: summary.total > 0 && (!application || application.status === "cancelled"),
+  };
+}
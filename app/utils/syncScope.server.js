@@ -0,0 +1,118 @@
+// A sync scope limits a paged sync to part of the catalog. It is kept in the
+// job options as { type, ... }:
+//   { type: "products", products: [{ id, title }] }   picked in the admin
+//   { type: "collection", collection: { id, title } } picked in the admin
+//   { type: "vendor", value }
+//   { type: "tag", value }
+//   { type: "query", value }                          productVariants search syntax
+// and turned into the `query` argument of productVariants.
+
+// Keeps the search query within what Shopify accepts
+const MAX_PICKED_PRODUCTS = 100;
+
+const SCOPE_TYPES = ["products", "collection", "vendor", "tag", "query"];
+
+function numericId(gid) {
+  return String(gid).split("/").pop();
+}
+
+function quote(value) {
+  return `"${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// Reads the scope submitted with a sync. Returns `{ scope }` (null for the
+// whole catalog) or `{ error }` with a message for the merchant.
+export function parseSyncScope(raw) {
+  if (!raw) return { scope: null };
+
+  let scope;
+  try {
+    scope = JSON.parse(raw);
+  } catch {
+    return { error: "The sync scope could not be read." };
+  }
+
+  if (!scope || !SCOPE_TYPES.includes(scope.type)) {
+    return { scope: null };
+  }
+
+  if (scope.type === "products") {
+    const products = (scope.products || []).filter((product) => product?.id);
+    if (products.length === 0) return { error: "Select at least one product." };
+    if (products.length > MAX_PICKED_PRODUCTS) {
+      return { error: `Select at most ${MAX_PICKED_PRODUCTS} products, or use a search query.` };
+    }
+    return {
+      scope: {
+        type: "products",
+        products: products.map((product) => ({ id: product.id, title: String(product.title || "") })),
+      },
+    };
+  }
+
+  if (scope.type === "collection") {
+    if (!scope.collection?.id) return { error: "Select a collection." };
+    return {
+      scope: {
+        type: "collection",
+        collection: { id: scope.collection.id, title: String(scope.collection.title || "") },
+      },
+    };
+  }
+
+  const value = String(scope.value || "").trim();
+  if (!value) return { error: `Enter a ${scope.type === "query" ? "search query" : scope.type}.` };
+
+  return { scope: { type: scope.type, value } };
+}
+
+// The productVariants search query for a scope
+export function scopeToQuery(scope) {
+  switch (scope.type) {
+    case "products":
+      return scope.products.map((product) => `product_id:${numericId(product.id)}`).join(" OR ");
+    case "collection":
+      return `collection:${numericId(scope.collection.id)}`;
+    case "vendor":
+      return `vendor:${quote(scope.value)}`;
+    case "tag":
+      return `tag:${quote(scope.value)}`;
+    default:
+      return scope.value;
+  }
+}
+
+// Short description of a scope for progress and history
+export function describeSyncScope(scope) {
+  if (!scope) return "All variants";
+
+  switch (scope.type) {
+    case "products": {
+      const titles = scope.products.slice(0, 3).map((product) => product.title).join(", ");
+      const more = scope.products.length > 3 ? ` and ${scope.products.length - 3} more` : "";
+      return `${scope.products.length === 1 ? "Product" : "Products"}: ${titles}${more}`;
+    }
+    case "collection":
+      return `Collection: ${scope.collection.title}`;
+    case "vendor":
+      return `Vendor: ${scope.value}`;
+    case "tag":
+      return `Tag: ${scope.value}`;
+    default:
+      return `Search: ${scope.value}`;
+  }
+}
+
+// Scope of a job, from its options
+export function getJobScope(job) {
+  return JSON.parse(job.options || "{}").scope || null;
+}
+
+// Modes that go over the catalog, and so have a scope to report
+const CATALOG_MODES = ["full", "bulk", "reconcile"];
+
+// What a job covers, for progress and history; null for jobs that work on a
+// list of variants rather than the catalog
+export function describeJobScope(job) {
+  return CATALOG_MODES.includes(job.mode) ? describeSyncScope(getJobScope(job)) : null;
+}
@@ -0,0 +1,65 @@
+import { Prisma } from "@prisma/client";
+import db from "../db.server";
+import { authenticate } from "../shopify.server";
+
+// Shopify stops retrying a delivery after 48 hours. Ids are kept for a week,
+// well past that, and can no longer come back once they are removed.
+const DELIVERY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Records a delivery by its X-Shopify-Webhook-Id. Returns false when the same
+// delivery has been seen before.
+export async function recordWebhookDelivery(webhookId, shop, topic) {
+  try {
+    await db.webhookDelivery.create({ data: { id: webhookId, shop, topic } });
+    return true;
+  } catch (error) {
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Called by the inventory queue worker's sweep
+export async function pruneWebhookDeliveries() {
+  await db.webhookDelivery.deleteMany({
+    where: { receivedAt: { lt: new Date(Date.now() - DELIVERY_RETENTION_MS) } },
+  });
+}
+
+// Forgets a delivery whose processing failed, so Shopify's retry of it is
+// processed instead of being dropped as a duplicate
+export async function forgetWebhookDelivery(webhookId) {
+  await db.webhookDelivery.deleteMany({ where: { id: webhookId } });
+}
+
+// Handles a webhook whose work happens in a queue worker: verifies and
+// records the delivery, calls `enqueue({ payload, shop, topic, webhookId })`
+// to queue it, then answers right away, so a burst of deliveries cannot time
+// out. Repeated deliveries are answered without queueing them again. When
+// queueing fails the delivery is forgotten and Shopify retries it.
+export async function queueWebhook(request, enqueue) {
+  const { admin, payload, shop, topic, webhookId } = await authenticate.webhook(request);
+  console.log(`Received ${topic} webhook for ${shop}:`, payload);
+
+  if (!admin) {
+    console.error("Missing admin session. The shop may need to re-authenticate.");
+    console.error("This error often occurs if the server (hosted on client infrastructure) restarted and the local database was wiped.");
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  // Shopify retries deliveries, so the same webhook id can arrive twice
+  if (!(await recordWebhookDelivery(webhookId, shop, topic))) {
+    console.log(`Skipping duplicate delivery ${webhookId}`);
+    return new Response(null, { status: 200 });
+  }
+
+  try {
+    await enqueue({ payload, shop, topic, webhookId });
+    return new Response(null, { status: 200 });
+  } catch (error) {
+    console.error(`Failed to queue ${topic} webhook:`, error);
+    await forgetWebhookDelivery(webhookId);
+    return new Response("Error processing webhook", { status: 500 });
+  }
+}
@@ -0,0 +1,99 @@
+import dns from "node:dns";
+import { lookup } from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+import { Agent } from "undici";
+
+// Alert webhooks are POSTed from the app's server, so their URLs must not
+// reach the server's own network: loopback, private, link-local (cloud
+// metadata), carrier-grade NAT and other reserved ranges are refused. The
+// host is checked when a channel is saved, and webhooks are sent through
+// webhookAgent, whose connections are checked against the address they
+// actually connect to, so a name that later points inward is refused too.
+
+const BLOCKED = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, "ipv6"));
+
+// Whether an IP address is one a webhook may be sent to. IPv4 addresses
+// written as IPv6 (::ffff:127.0.0.1) are checked as IPv4.
+export function isPublicAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const version = isIP(address);
+  if (version === 0) return false;
+
+  return !BLOCKED.check(address, version === 4 ? "ipv4" : "ipv6");
+}
+
+// Checks a webhook URL. Returns what is wrong with it for the merchant, or
+// null when alerts can be sent to it.
+export async function checkWebhookTarget(target) {
+  let url;
+  try {
+    url = new URL(target);
+  } catch {
+    return "Enter an https:// URL.";
+  }
+
+  if (url.protocol !== "https:") return "Enter an https:// URL.";
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = isIP(host) ? [{ address: host }] : await lookup(host, { all: true, verbatim: true });
+  } catch {
+    return `The host ${url.hostname} could not be found.`;
+  }
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    return "Webhooks can only be sent to public internet addresses.";
+  }
+
+  return null;
+}
+
+// DNS lookup for connections that only resolves to public addresses. It is
+// the lookup the connection uses, so the address checked is the one
+// connected to, whatever the name resolves to between checks.
+export function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (addresses.length === 0 || blocked) {
+      return callback(new Error(`${hostname} does not resolve to a public internet address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Dispatcher for webhook requests (see lookupPublicAddress). IP addresses in
+// URLs are not looked up, so checkWebhookTarget still has to accept the URL.
+export const webhookAgent = new Agent({ connect: { lookup: lookupPublicAddress } });
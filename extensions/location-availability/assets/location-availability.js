@@ -0,0 +1,130 @@
+// Shows the locations of the variant that is selected on the product page.
+// Themes report the selection differently, so the block follows the
+// variant id input of the product form (themes fire `change` on it) and the
+// `variant` URL parameter, whichever changes.
+(function () {
+  if (window.locationAvailabilityLoaded) return;
+  window.locationAvailabilityLoaded = true;
+
+  function status(block, available) {
+    var data = block.dataset;
+
+    if (available <= Number(data.outOfStockThreshold || 0)) {
+      return { name: "out", label: data.outOfStockLabel };
+    }
+    if (available <= Number(data.lowStockThreshold || 0)) {
+      return { name: "low", label: data.lowStockLabel };
+    }
+    return { name: "in", label: data.inStockLabel };
+  }
+
+  // Same markup as the location-availability-row snippet
+  function renderRow(block, location) {
+    var available = parseInt(location.available, 10) || 0;
+    var state = status(block, available);
+
+    if (state.name === "out" && block.dataset.hideOutOfStock === "true") return null;
+
+    var item = document.createElement("li");
+    item.className = "location-availability__item location-availability__item--" + state.name;
+
+    var name = document.createElement("span");
+    name.className = "location-availability__name";
+    name.textContent = location.name;
+
+    var label = document.createElement("span");
+    label.className = "location-availability__status";
+
+    var dot = document.createElement("span");
+    dot.className = "location-availability__dot";
+    dot.setAttribute("aria-hidden", "true");
+
+    var text = state.label;
+    if (block.dataset.showQuantity === "true" && state.name !== "out") {
+      text += " (" + available + ")";
+    }
+
+    label.appendChild(dot);
+    label.appendChild(document.createTextNode(" " + text));
+    item.appendChild(name);
+    item.appendChild(label);
+    return item;
+  }
+
+  function readValues(block) {
+    if (!block.locationAvailabilityValues) {
+      var script = block.querySelector("[data-location-availability-variants]");
+      try {
+        block.locationAvailabilityValues = JSON.parse(script.textContent);
+      } catch (error) {
+        block.locationAvailabilityValues = {};
+      }
+    }
+    return block.locationAvailabilityValues;
+  }
+
+  function render(block, variantId) {
+    var values = readValues(block);
+    var key = String(variantId);
+    if (!Object.prototype.hasOwnProperty.call(values, key)) return;
+    if (block.dataset.variantId === key) return;
+    block.dataset.variantId = key;
+
+    var value = values[key];
+    var locations = (value && Array.isArray(value.locations)) ? value.locations : [];
+    var list = block.querySelector("[data-location-availability-list]");
+    var empty = block.querySelector("[data-location-availability-empty]");
+
+    // Rows hidden by the block's settings do not count, so a variant whose
+    // every location is hidden shows the empty text too
+    var shown = 0;
+    list.textContent = "";
+    locations.forEach(function (location) {
+      var row = renderRow(block, location);
+      if (row) {
+        list.appendChild(row);
+        shown++;
+      }
+    });
+
+    empty.hidden = shown > 0;
+  }
+
+  function renderAll(variantId) {
+    if (!variantId) return;
+    document.querySelectorAll("[data-location-availability]").forEach(function (block) {
+      render(block, variantId);
+    });
+  }
+
+  function variantFromUrl() {
+    return new URLSearchParams(window.location.search).get("variant");
+  }
+
+  document.addEventListener("change", function (event) {
+    var target = event.target;
+
+    if (target && target.name === "id" && target.closest("form[action*='/cart/add']")) {
+      renderAll(target.value);
+    } else {
+      // Variant pickers update the URL after their own change handlers run
+      setTimeout(function () {
+        renderAll(variantFromUrl());
+      }, 0);
+    }
+  });
+
+  window.addEventListener("popstate", function () {
+    renderAll(variantFromUrl());
+  });
+
+  // Themes that replace the URL without a change event
+  ["pushState", "replaceState"].forEach(function (method) {
+    var original = window.history[method];
+    window.history[method] = function () {
+      var result = original.apply(this, arguments);
+      renderAll(variantFromUrl());
+      return result;
+    };
+  });
+})();
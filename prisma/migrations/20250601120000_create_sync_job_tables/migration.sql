@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "SyncJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "cursor" TEXT,
+    "totalVariants" INTEGER NOT NULL DEFAULT 0,
+    "processedVariants" INTEGER NOT NULL DEFAULT 0,
+    "currentBatch" INTEGER NOT NULL DEFAULT 0,
+    "message" TEXT,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "completedAt" DATETIME
+);
+
+-- CreateTable
+CREATE TABLE "SyncJobError" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "jobId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "variantId" TEXT,
+    "batch" INTEGER,
+    "message" TEXT NOT NULL,
+    "details" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "SyncJobError_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "SyncJob" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "SyncJob_shop_status_idx" ON "SyncJob"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "SyncJobError_jobId_idx" ON "SyncJobError"("jobId");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "SyncJob" ADD COLUMN "mode" TEXT NOT NULL DEFAULT 'full';
+ALTER TABLE "SyncJob" ADD COLUMN "parentJobId" TEXT;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "SyncJob" ADD COLUMN "bulkOperationId" TEXT;
+ALTER TABLE "SyncJob" ADD COLUMN "bulkResultUrl" TEXT;
+
+-- CreateIndex
+CREATE INDEX "SyncJob_bulkOperationId_idx" ON "SyncJob"("bulkOperationId");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "InventoryEvent" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "webhookId" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "available" INTEGER NOT NULL,
+    "changedAt" DATETIME NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "claimToken" TEXT,
+    "claimedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InventoryEvent_webhookId_key" ON "InventoryEvent"("webhookId");
+
+-- CreateIndex
+CREATE INDEX "InventoryEvent_shop_status_idx" ON "InventoryEvent"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "InventoryEvent_claimToken_idx" ON "InventoryEvent"("claimToken");
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "SyncJob" ADD COLUMN "options" TEXT;
+
+-- CreateTable
+CREATE TABLE "ShopSettings" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "metafieldNamespace" TEXT NOT NULL DEFAULT 'custom',
+    "metafieldKey" TEXT NOT NULL DEFAULT 'locations',
+    "updatedAt" DATETIME NOT NULL
+);
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "includedLocationIds" TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE "ShopSettings" ADD COLUMN "excludedLocationIds" TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE "ShopSettings" ADD COLUMN "includeZeroStock" BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "ShopSettings" ADD COLUMN "syncConcurrency" INTEGER NOT NULL DEFAULT 10;
+ALTER TABLE "ShopSettings" ADD COLUMN "autoSyncEnabled" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "ShopSettings" ADD COLUMN "autoSyncHour" INTEGER NOT NULL DEFAULT 2;
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "autoSyncMode" TEXT NOT NULL DEFAULT 'sync';
+
+-- CreateTable
+CREATE TABLE "DriftEntry" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "jobId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "locationName" TEXT,
+    "storedAvailable" INTEGER,
+    "actualAvailable" INTEGER,
+    "repaired" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "DriftEntry_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "SyncJob" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "DriftEntry_jobId_idx" ON "DriftEntry"("jobId");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "SyncJob" ADD COLUMN "trigger" TEXT NOT NULL DEFAULT 'manual';
+
+-- CreateIndex
+CREATE INDEX "SyncJob_shop_trigger_startedAt_idx" ON "SyncJob"("shop", "trigger", "startedAt");
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "MetafieldAudit" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "jobId" TEXT,
+    "source" TEXT NOT NULL,
+    "oldValue" TEXT,
+    "newValue" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "MetafieldAudit_shop_variantId_createdAt_idx" ON "MetafieldAudit"("shop", "variantId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "MetafieldAudit_createdAt_idx" ON "MetafieldAudit"("createdAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "SyncJob" ADD COLUMN "control" TEXT;
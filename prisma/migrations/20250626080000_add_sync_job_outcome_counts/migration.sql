@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "SyncJob" ADD COLUMN "skippedVariants" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "SyncJob" ADD COLUMN "writtenVariants" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "SyncJob" ADD COLUMN "createdVariants" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "SyncPlanEntry" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "jobId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "change" TEXT NOT NULL,
+    "oldValue" TEXT,
+    "newValue" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "SyncPlanEntry_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "SyncJob" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "SyncPlanEntry_jobId_change_idx" ON "SyncPlanEntry"("jobId", "change");
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "InventoryEvent" ADD COLUMN "kind" TEXT NOT NULL DEFAULT 'update';
+
+-- CreateTable
+CREATE TABLE "LocationChange" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "webhookId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "deleted" BOOLEAN NOT NULL DEFAULT false,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "claimedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LocationChange_webhookId_key" ON "LocationChange"("webhookId");
+
+-- CreateIndex
+CREATE INDEX "LocationChange_shop_status_idx" ON "LocationChange"("shop", "status");
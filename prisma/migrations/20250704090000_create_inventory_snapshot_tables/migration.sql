@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "Location" (
+    "shop" TEXT NOT NULL,
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "pickupEnabled" BOOLEAN NOT NULL DEFAULT false,
+    "updatedAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("shop", "id")
+);
+
+-- CreateTable
+CREATE TABLE "Variant" (
+    "shop" TEXT NOT NULL,
+    "id" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "productId" TEXT,
+    "productTitle" TEXT,
+    "title" TEXT,
+    "sku" TEXT,
+    "imageUrl" TEXT,
+    "metafieldValue" TEXT,
+    "metafieldSyncedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("shop", "id")
+);
+
+-- CreateTable
+CREATE TABLE "InventoryLevel" (
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "available" INTEGER NOT NULL,
+    "changedAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("shop", "variantId", "locationId"),
+    CONSTRAINT "InventoryLevel_shop_variantId_fkey" FOREIGN KEY ("shop", "variantId") REFERENCES "Variant" ("shop", "id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Variant_shop_inventoryItemId_idx" ON "Variant"("shop", "inventoryItemId");
+
+-- CreateIndex
+CREATE INDEX "InventoryLevel_shop_locationId_idx" ON "InventoryLevel"("shop", "locationId");
@@ -0,0 +1,56 @@
+-- AlterTable
+ALTER TABLE "Variant" ADD COLUMN "productTags" TEXT;
+
+-- CreateTable
+CREATE TABLE "AlertRule" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "value" TEXT,
+    "locationId" TEXT,
+    "threshold" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "StockAlert" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "ruleId" INTEGER,
+    "variantId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "available" INTEGER NOT NULL,
+    "threshold" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "notifiedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" DATETIME,
+    CONSTRAINT "StockAlert_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "AlertRule" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "AlertChannel" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "target" TEXT NOT NULL,
+    "secret" TEXT,
+    "frequency" TEXT NOT NULL DEFAULT 'instant',
+    "lastDigestAt" DATETIME,
+    "lastSentAt" DATETIME,
+    "lastError" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "AlertRule_shop_idx" ON "AlertRule"("shop");
+
+-- CreateIndex
+CREATE INDEX "StockAlert_shop_variantId_status_idx" ON "StockAlert"("shop", "variantId", "status");
+
+-- CreateIndex
+CREATE INDEX "StockAlert_shop_createdAt_idx" ON "StockAlert"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AlertChannel_shop_idx" ON "AlertChannel"("shop");
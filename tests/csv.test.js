@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { csvResponse, toCsv } from "../app/utils/csv.server";
+
+describe("toCsv", () => {
+  it("joins plain values with commas and rows with CRLF", () => {
+    expect(toCsv(["Type", "Batch"], [["apiError", 3], ["userError", 4]]))
+      .toBe("Type,Batch\r\napiError,3\r\nuserError,4");
+  });
+
+  it("quotes values with commas, quotes or line breaks", () => {
+    const csv = toCsv(["Message"], [
+      ["Value is invalid, try again"],
+      ['Field "value" is missing'],
+      ["First line\nsecond line"],
+      ["Windows\r\nline"],
+    ]);
+
+    expect(csv.split("\r\n").slice(1, 4)).toEqual([
+      '"Value is invalid, try again"',
+      '"Field ""value"" is missing"',
+      '"First line\nsecond line"',
+    ]);
+    expect(csv.endsWith('"Windows\r\nline"')).toBe(true);
+  });
+
+  it("keeps text that starts like a formula from running as one", () => {
+    const csv = toCsv(["Product", "SKU", "Available"], [
+      ["=HYPERLINK(\"https://example.com\")", "+1-555", -3],
+      ["@SUM(A1)", "-10", 4],
+    ]);
+
+    expect(csv.split("\r\n").slice(1)).toEqual([
+      `"'=HYPERLINK(""https://example.com"")",'+1-555,-3`,
+      "'@SUM(A1),'-10,4",
+    ]);
+  });
+
+  it("writes null and undefined as empty values", () => {
+    expect(toCsv(["Variant", "Batch", "Time"], [[null, undefined, 0]])).toBe("Variant,Batch,Time\r\n,,0");
+  });
+});
+
+describe("csvResponse", () => {
+  it("serves the text as a CSV attachment", async () => {
+    const response = csvResponse("a,b", "sync-1-errors.csv");
+
+    expect(response.headers.get("Content-Type")).toBe("text/csv; charset=utf-8");
+    expect(response.headers.get("Content-Disposition")).toBe('attachment; filename="sync-1-errors.csv"');
+    expect(await response.text()).toBe("a,b");
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, expect, it, vi } from "vitest";
+import { findLocationDrift } from "../app/utils/drift.server";
+import { buildLocationsPayload } from "../app/utils/locationPayload.server";
+
+vi.mock("../app/db.server", () => ({ default: {} }));
+
+const payload = (...locations) => buildLocationsPayload(
+  locations.map(([id, name, available]) => ({ id, name, available, updatedAt: "2025-06-01T10:00:00.000Z" }))
+);
+
+describe("findLocationDrift", () => {
+  it("finds nothing when every quantity matches", () => {
+    const stored = payload([1, "Warehouse", 4], [2, "Store", 0]);
+
+    expect(findLocationDrift(stored, payload([1, "Warehouse", 4], [2, "Store", 0]))).toEqual([]);
+  });
+
+  it("reports locations whose quantity differs", () => {
+    const drift = findLocationDrift(payload([1, "Warehouse", 4]), payload([1, "Warehouse", 1]));
+
+    expect(drift).toEqual([
+      { locationId: "1", locationName: "Warehouse", storedAvailable: 4, actualAvailable: 1 },
+    ]);
+  });
+
+  it("reports locations only one side lists", () => {
+    const drift = findLocationDrift(payload([1, "Old store", 2]), payload([3, "New store", 5]));
+
+    expect(drift).toEqual([
+      { locationId: "1", locationName: "Old store", storedAvailable: 2, actualAvailable: null },
+      { locationId: "3", locationName: "New store", storedAvailable: null, actualAvailable: 5 },
+    ]);
+  });
+
+  it("names a location as the live levels do", () => {
+    const drift = findLocationDrift(payload([1, "Warehouse", 4]), payload([1, "Main warehouse", 3]));
+
+    expect(drift[0].locationName).toBe("Main warehouse");
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it, vi } from "vitest";
+import { createGraphqlClient } from "../app/utils/graphqlClient.server";
+
+const ok = (data) => new Response(JSON.stringify({ data }), { status: 200 });
+
+// Shaped like the HttpResponseError family of @shopify/shopify-api
+function httpError(code, retryAfter) {
+  const error = new Error(`Received an error response (${code}) from Shopify`);
+  error.response = { code, statusText: "", body: {}, headers: {}, retryAfter };
+  return error;
+}
+
+describe("createGraphqlClient", () => {
+  it("retries a throttled HTTP response after its Retry-After", async () => {
+    const graphql = vi.fn()
+      .mockRejectedValueOnce(httpError(429, 0.01))
+      .mockResolvedValueOnce(ok({ shop: { name: "Shop" } }));
+    const client = createGraphqlClient({ graphql }, "retry-after.myshopify.com");
+
+    const response = await client.graphql("{ shop { name } }");
+
+    expect(graphql).toHaveBeenCalledTimes(2);
+    expect(await response.json()).toEqual({ data: { shop: { name: "Shop" } } });
+  });
+
+  it("retries a thrown 503 Response", async () => {
+    vi.useFakeTimers();
+    try {
+      const graphql = vi.fn()
+        .mockRejectedValueOnce(new Response("", { status: 503, headers: { "Retry-After": "2" } }))
+        .mockResolvedValueOnce(ok({}));
+      const client = createGraphqlClient({ graphql }, "unavailable.myshopify.com");
+
+      const call = client.graphql("{ shop { id } }");
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(graphql).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      await call;
+
+      expect(graphql).toHaveBeenCalledTimes(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("does not retry client errors or GraphQL errors", async () => {
+    const client = createGraphqlClient({
+      graphql: vi.fn().mockRejectedValue(httpError(401)),
+    }, "denied.myshopify.com");
+    await expect(client.graphql("{ shop { id } }")).rejects.toThrow("(401)");
+
+    const queryError = new Error("Field 'nope' doesn't exist on type 'Shop'");
+    queryError.body = { errors: { graphQLErrors: [{ message: queryError.message }] } };
+    const graphql = vi.fn().mockRejectedValue(queryError);
+    await expect(createGraphqlClient({ graphql }, "invalid.myshopify.com").graphql("{ shop { nope } }"))
+      .rejects.toBe(queryError);
+    expect(graphql).toHaveBeenCalledTimes(1);
+  });
+});
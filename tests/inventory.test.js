@@ -0,0 +1,86 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { readInventorySnapshot } from "../app/utils/inventory";
+
+// A result file served line by line, recording how far it has been read
+function serveLines(records) {
+  const served = { lines: 0 };
+  let index = 0;
+  const body = new ReadableStream({
+    pull(controller) {
+      if (index === records.length) {
+        controller.close();
+        return;
+      }
+      served.lines++;
+      controller.enqueue(new TextEncoder().encode(`${JSON.stringify(records[index++])}\n`));
+    },
+  }, { highWaterMark: 0 });
+
+  vi.stubGlobal("fetch", vi.fn(async () => new Response(body)));
+  return served;
+}
+
+const variant = (n, metafield) => ({
+  id: `gid://shopify/ProductVariant/${n}`,
+  title: `Variant ${n}`,
+  sku: `SKU-${n}`,
+  product: { id: "gid://shopify/Product/1", title: "Shirt", tags: ["sale"] },
+  inventoryItem: { id: `gid://shopify/InventoryItem/${n}` },
+  ...(metafield === undefined ? {} : { metafield }),
+});
+
+const level = (n, locationId, quantity) => ({
+  quantities: [{ quantity }],
+  location: { id: `gid://shopify/Location/${locationId}`, name: `Location ${locationId}` },
+  __parentId: `gid://shopify/ProductVariant/${n}`,
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("readInventorySnapshot", () => {
+  it("yields each variant with the levels that follow it", async () => {
+    serveLines([
+      variant(1, { value: "{}" }),
+      level(1, 10, 4),
+      level(1, 11, 0),
+      variant(2, null),
+      variant(3),
+      level(3, 10, 7),
+    ]);
+
+    const variants = [];
+    for await (const read of readInventorySnapshot("https://example.com/result.jsonl")) variants.push(read);
+
+    expect(variants.map((read) => [read.id, read.inventoryLevels.length, read.previousValue])).toEqual([
+      ["gid://shopify/ProductVariant/1", 2, "{}"],
+      ["gid://shopify/ProductVariant/2", 0, null],
+      ["gid://shopify/ProductVariant/3", 1, undefined],
+    ]);
+    expect(variants[0]).toMatchObject({
+      sku: "SKU-1",
+      productTitle: "Shirt",
+      productTags: JSON.stringify(["sale"]),
+      inventoryItem: { id: "gid://shopify/InventoryItem/1" },
+    });
+  });
+
+  it("reads the file as the variants are taken, not all at once", async () => {
+    const records = Array.from({ length: 200 }, (_, n) => variant(n + 1));
+    const served = serveLines(records);
+
+    for await (const read of readInventorySnapshot("https://example.com/result.jsonl")) {
+      if (read.id === "gid://shopify/ProductVariant/2") break;
+    }
+
+    expect(served.lines).toBeLessThan(records.length);
+  });
+
+  it("yields nothing for operations without a result file", async () => {
+    const variants = [];
+    for await (const read of readInventorySnapshot(null)) variants.push(read);
+
+    expect(variants).toEqual([]);
+  });
+});
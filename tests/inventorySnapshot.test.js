@@ -0,0 +1,151 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import db from "../app/db.server";
+import {
+  applyLevelEvents,
+  buildSnapshotPayloads,
+  findVariantsAtLocations,
+  removeLocations,
+  storeLocations,
+  storeVariants,
+} from "../app/utils/inventorySnapshot.server";
+
+vi.mock("../app/db.server", async () => ({
+  default: (await import("./support/fakeDb")).createFakeDb(),
+}));
+
+const shop = "test.myshopify.com";
+const variantId = "gid://shopify/ProductVariant/1";
+const at = (minute) => new Date(Date.UTC(2025, 5, 1, 10, minute));
+
+const level = (locationId, available, changedAt) => ({ shop, variantId, locationId, available, changedAt });
+const levels = () => db.tables.inventoryLevel.map(({ locationId, available }) => ({ locationId, available }));
+
+beforeEach(() => {
+  db.reset();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+describe("applyLevelEvents", () => {
+  it("keeps only the latest event per location, whatever their order", async () => {
+    const changed = await applyLevelEvents(shop, variantId, [
+      { locationId: "1", kind: "update", available: 5, changedAt: at(3) },
+      { locationId: "1", kind: "update", available: 9, changedAt: at(1) },
+      { locationId: "2", kind: "update", available: 2, changedAt: at(2) },
+    ]);
+
+    expect(changed).toBe(2);
+    expect(levels()).toEqual([{ locationId: "1", available: 5 }, { locationId: "2", available: 2 }]);
+  });
+
+  it("skips events that are not newer than the stored level", async () => {
+    db.tables.inventoryLevel.push(level("1", 7, at(5)), level("2", 1, at(5)));
+
+    const changed = await applyLevelEvents(shop, variantId, [
+      { locationId: "1", kind: "update", available: 3, changedAt: at(4) },
+      { locationId: "2", kind: "update", available: 0, changedAt: at(5) },
+    ]);
+
+    expect(changed).toBe(0);
+    expect(levels()).toEqual([{ locationId: "1", available: 7 }, { locationId: "2", available: 1 }]);
+  });
+
+  it("removes disconnected levels, unless a newer quantity was stored", async () => {
+    db.tables.inventoryLevel.push(level("1", 7, at(1)), level("2", 4, at(9)));
+
+    const changed = await applyLevelEvents(shop, variantId, [
+      { locationId: "1", kind: "disconnect", available: null, changedAt: at(2) },
+      { locationId: "2", kind: "disconnect", available: null, changedAt: at(3) },
+      { locationId: "3", kind: "disconnect", available: null, changedAt: at(3) },
+    ]);
+
+    expect(changed).toBe(1);
+    expect(levels()).toEqual([{ locationId: "2", available: 4 }]);
+  });
+});
+
+describe("storeLocations", () => {
+  it("keeps locations it is not given, until they are removed", async () => {
+    db.tables.location.push({ shop, id: "1", name: "Old name", isActive: true, pickupEnabled: false });
+    db.tables.inventoryLevel.push(level("1", 3, at(1)), level("2", 5, at(1)));
+
+    await storeLocations(shop, [{ id: "2", name: "Store", isActive: true, pickupEnabled: true }]);
+
+    expect(db.tables.location.map((location) => location.id)).toEqual(["1", "2"]);
+    expect(levels()).toEqual([{ locationId: "1", available: 3 }, { locationId: "2", available: 5 }]);
+
+    await removeLocations(shop, [1]);
+
+    expect(db.tables.location.map((location) => location.id)).toEqual(["2"]);
+    expect(levels()).toEqual([{ locationId: "2", available: 5 }]);
+  });
+});
+
+describe("storeVariants", () => {
+  const readVariant = (quantities) => ({
+    id: variantId,
+    inventoryItem: { id: "gid://shopify/InventoryItem/1" },
+    productId: "gid://shopify/Product/1",
+    productTitle: "Shirt",
+    title: "Small",
+    inventoryLevels: Object.entries(quantities).map(([locationId, quantity]) => ({
+      location: { id: `gid://shopify/Location/${locationId}` },
+      quantities: [{ quantity }],
+    })),
+  });
+
+  it("replaces the stored levels with what was read, as of the read time", async () => {
+    db.tables.inventoryLevel.push(level("1", 7, at(1)), level("2", 4, at(1)));
+
+    await storeVariants(shop, [readVariant({ 1: 3, 3: 8 })], at(5));
+
+    expect(db.tables.inventoryLevel.map(({ locationId, available, changedAt }) => ({ locationId, available, changedAt })))
+      .toEqual([{ locationId: "1", available: 3, changedAt: at(5) }, { locationId: "3", available: 8, changedAt: at(5) }]);
+  });
+
+  it("keeps levels that changed after the read", async () => {
+    db.tables.inventoryLevel.push(level("1", 7, at(6)), level("2", 4, at(6)));
+
+    await storeVariants(shop, [readVariant({ 1: 3 })], at(5));
+
+    expect(levels()).toEqual([{ locationId: "1", available: 7 }, { locationId: "2", available: 4 }]);
+  });
+});
+
+describe("buildSnapshotPayloads", () => {
+  it("builds each variant's payload from its levels with the location rules applied", async () => {
+    db.tables.location.push(
+      { shop, id: "1", name: "Warehouse", isActive: true, pickupEnabled: false },
+      { shop, id: "2", name: "Store", isActive: true, pickupEnabled: true }
+    );
+    db.tables.inventoryLevel.push(level("1", 3, at(1)), level("2", 0, at(2)));
+    const rules = {
+      settings: {
+        includedLocationIds: [],
+        excludedLocationIds: [],
+        includeZeroStock: false,
+        hideInactiveLocations: false,
+        pickupLocationsOnly: false,
+        locationDisplayNames: { 1: "Main warehouse" },
+      },
+      locations: new Map(db.tables.location.map((location) => [location.id, location])),
+    };
+
+    const payloads = await buildSnapshotPayloads(shop, [variantId, "gid://shopify/ProductVariant/2"], rules);
+
+    expect(payloads.get(variantId).locations.map(({ id, name, available }) => ({ id, name, available })))
+      .toEqual([{ id: 1, name: "Main warehouse", available: 3 }]);
+    expect(payloads.get("gid://shopify/ProductVariant/2").locations).toEqual([]);
+  });
+});
+
+describe("findVariantsAtLocations", () => {
+  it("finds variants stocked at a location or whose stored value lists it", async () => {
+    db.tables.inventoryLevel.push(level("1", 3, at(1)));
+    db.tables.variant.push(
+      { shop, id: "gid://shopify/ProductVariant/2", metafieldValue: '{"version":2,"locations":[{"id":1,"name":"Old"}]}' },
+      { shop, id: "gid://shopify/ProductVariant/3", metafieldValue: '{"version":2,"locations":[{"id":12,"name":"Other"}]}' }
+    );
+
+    expect(await findVariantsAtLocations(shop, ["1"])).toEqual([variantId, "gid://shopify/ProductVariant/2"]);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildLocationsPayload,
+  migrateLocationsPayload,
+  parseLocationsPayload,
+  sameLocations,
+  toLocationId,
+  validateLocationsPayload,
+} from "../app/utils/locationPayload.server";
+
+const june = "2025-06-01T10:00:00.000Z";
+const july = "2025-07-01T10:00:00.000Z";
+
+describe("toLocationId", () => {
+  it("reads numbers, numeric strings and GIDs", () => {
+    expect(toLocationId(12)).toBe(12);
+    expect(toLocationId("12")).toBe(12);
+    expect(toLocationId("gid://shopify/Location/12")).toBe(12);
+  });
+
+  it("returns null for anything else", () => {
+    expect(toLocationId(null)).toBeNull();
+    expect(toLocationId("warehouse")).toBeNull();
+    expect(toLocationId(0)).toBeNull();
+    expect(toLocationId(-3)).toBeNull();
+  });
+});
+
+describe("buildLocationsPayload", () => {
+  it("sorts entries by numeric id", () => {
+    const payload = buildLocationsPayload([
+      { id: "gid://shopify/Location/20", name: "Store", available: "3", updatedAt: june },
+      { id: 5, name: "Warehouse", available: 7, updatedAt: june },
+    ]);
+
+    expect(payload).toEqual({
+      version: 2,
+      locations: [
+        { id: 5, name: "Warehouse", available: 7, updatedAt: june },
+        { id: 20, name: "Store", available: 3, updatedAt: june },
+      ],
+    });
+  });
+
+  it("keeps the most recent entry of a location listed twice", () => {
+    const payload = buildLocationsPayload([
+      { id: 5, name: "Warehouse", available: 1, updatedAt: july },
+      { id: "5", name: "Warehouse", available: 9, updatedAt: june },
+    ]);
+
+    expect(payload.locations).toEqual([{ id: 5, name: "Warehouse", available: 1, updatedAt: july }]);
+  });
+
+  it("builds payloads that validate", () => {
+    const payload = buildLocationsPayload([{ id: 5, name: "Warehouse", available: 2, updatedAt: june }]);
+
+    expect(validateLocationsPayload(payload)).toEqual([]);
+  });
+});
+
+describe("validateLocationsPayload", () => {
+  it("rejects values that are not payload objects", () => {
+    expect(validateLocationsPayload(null)).toEqual(["Value must be an object"]);
+    expect(validateLocationsPayload([])).toEqual(["Value must be an object"]);
+    expect(validateLocationsPayload({ version: 2 })).toEqual(["locations must be a list"]);
+  });
+
+  it("lists every problem of every entry", () => {
+    const problems = validateLocationsPayload({
+      version: 1,
+      locations: [
+        { id: 5, name: "Warehouse", available: 2, updatedAt: june },
+        { id: 5, name: 7, available: 1.5, updatedAt: "soon" },
+        { id: "gid://shopify/Location/6", name: "Store", available: 0, updatedAt: june },
+      ],
+    });
+
+    expect(problems).toEqual([
+      "Unsupported version 1",
+      "locations[1] repeats location 5",
+      "locations[1].name must be a string",
+      "locations[1].available must be an integer",
+      "locations[1].updatedAt must be a date",
+      "locations[2].id must be a numeric location id",
+    ]);
+  });
+});
+
+describe("parseLocationsPayload", () => {
+  it("migrates version 1 values with GIDs and no timestamps", () => {
+    const payload = parseLocationsPayload(JSON.stringify({
+      locations: [
+        { id: "gid://shopify/Location/9", name: "Store", available: 1 },
+        { id: "not a location", name: "Lost", available: 4 },
+      ],
+    }));
+
+    expect(payload).toEqual({
+      version: 2,
+      locations: [{ id: 9, name: "Store", available: 1, updatedAt: new Date(0).toISOString() }],
+    });
+  });
+
+  it("throws for values it cannot read", () => {
+    expect(() => parseLocationsPayload("{")).toThrow();
+    expect(() => parseLocationsPayload({ version: 3, locations: [] })).toThrow("newer than this app supports");
+    expect(() => migrateLocationsPayload({ version: 2 })).toThrow("no locations list");
+  });
+});
+
+describe("sameLocations", () => {
+  it("ignores timestamps but not quantities", () => {
+    const a = buildLocationsPayload([{ id: 5, name: "Warehouse", available: 2, updatedAt: june }]);
+    const b = buildLocationsPayload([{ id: 5, name: "Warehouse", available: 2, updatedAt: july }]);
+    const c = buildLocationsPayload([{ id: 5, name: "Warehouse", available: 3, updatedAt: july }]);
+
+    expect(sameLocations(a, b)).toBe(true);
+    expect(sameLocations(a, c)).toBe(false);
+  });
+});
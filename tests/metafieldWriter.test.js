@@ -0,0 +1,161 @@
+import { describe, expect, it, vi } from "vitest";
+import { buildLocationsPayload } from "../app/utils/locationPayload.server";
+import { writeLocationMetafields } from "../app/utils/metafieldWriter.server";
+
+// Nothing here writes to the database; the writer only touches it with `audit`
+vi.mock("../app/db.server", () => ({ default: {} }));
+
+const target = { namespace: "custom", key: "locations" };
+
+const payload = buildLocationsPayload([
+  { id: 1, name: "Warehouse", available: 4, updatedAt: "2025-06-01T10:00:00.000Z" },
+]);
+
+const entry = (n) => ({ ownerId: `gid://shopify/ProductVariant/${n}`, value: payload });
+
+// An admin client whose metafieldsSet calls answer with the given user errors,
+// one list per call. Calls past the list succeed.
+function fakeAdmin(answers = []) {
+  const calls = [];
+  const admin = {
+    graphql: vi.fn(async (query, { variables }) => {
+      calls.push(variables.metafields.map((metafield) => metafield.ownerId));
+      const userErrors = answers[calls.length - 1] || [];
+      return { json: async () => ({ data: { metafieldsSet: { metafields: [], userErrors } } }) };
+    }),
+  };
+  return { admin, calls };
+}
+
+describe("writeLocationMetafields", () => {
+  it("writes 25 metafields per call", async () => {
+    const { admin, calls } = fakeAdmin();
+    const entries = Array.from({ length: 30 }, (_, n) => entry(n + 1));
+
+    const results = await writeLocationMetafields(admin, entries, target);
+
+    expect(calls.map((ownerIds) => ownerIds.length)).toEqual([25, 5]);
+    expect(results.every((result) => result.success)).toBe(true);
+  });
+
+  it("maps indexed user errors to their entry and writes the rest again", async () => {
+    const userError = { field: ["metafields", "1", "value"], message: "Value is invalid" };
+    const { admin, calls } = fakeAdmin([[userError]]);
+    const entries = [entry(1), entry(2), entry(3)];
+
+    const results = await writeLocationMetafields(admin, entries, target);
+
+    expect(calls).toEqual([
+      [entry(1).ownerId, entry(2).ownerId, entry(3).ownerId],
+      [entry(1).ownerId, entry(3).ownerId],
+    ]);
+    expect(results[0]).toEqual({ success: true, ownerId: entry(1).ownerId });
+    expect(results[1]).toEqual({
+      success: false,
+      ownerId: entry(2).ownerId,
+      errors: [userError],
+      type: "userError",
+    });
+    expect(results[2].success).toBe(true);
+  });
+
+  it("fails the whole chunk with user errors that have no index", async () => {
+    const userError = { field: null, message: "Access denied" };
+    const { admin, calls } = fakeAdmin([[userError]]);
+
+    const results = await writeLocationMetafields(admin, [entry(1), entry(2)], target);
+
+    expect(calls).toHaveLength(1);
+    expect(results.map((result) => result.errors)).toEqual([[userError], [userError]]);
+  });
+
+  it("does not write a chunk again when no user error points into it", async () => {
+    const userError = { field: ["metafields", "7", "value"], message: "Value is invalid" };
+    const { admin, calls } = fakeAdmin([[userError], [userError]]);
+
+    const results = await writeLocationMetafields(admin, [entry(1), entry(2)], target);
+
+    expect(calls).toHaveLength(1);
+    expect(results.every((result) => !result.success && result.type === "userError")).toBe(true);
+  });
+
+  it("reports invalid payloads without sending them", async () => {
+    const { admin, calls } = fakeAdmin();
+    const invalid = { ownerId: "gid://shopify/ProductVariant/9", value: { version: 2, locations: [{ id: 0 }] } };
+
+    const results = await writeLocationMetafields(admin, [invalid, entry(1)], target);
+
+    expect(calls).toEqual([[entry(1).ownerId]]);
+    expect(results[0].success).toBe(false);
+    expect(results[0].errors.map((error) => error.message)).toContain(
+      "locations[0].id must be a numeric location id"
+    );
+  });
+
+  it("reports a failed call as an API error for every entry", async () => {
+    const admin = { graphql: vi.fn().mockRejectedValue(new Error("Network down")) };
+
+    const results = await writeLocationMetafields(admin, [entry(1)], target);
+
+    expect(results).toEqual([
+      { success: false, ownerId: entry(1).ownerId, error: "Network down", type: "apiError" },
+    ]);
+  });
+
+  describe("with skipUnchanged", () => {
+    // Stored values from the lookup by id, null for variants without one
+    function adminWithValues(stored) {
+      const { admin, calls } = fakeAdmin();
+      const write = admin.graphql;
+      admin.graphql = vi.fn(async (query, options) => {
+        if (!query.includes("GetPreviousValues")) return write(query, options);
+
+        const nodes = options.variables.ids.map((id) => ({ id, metafield: stored[id] === null ? null : { value: stored[id] } }));
+        return { json: async () => ({ data: { nodes } }) };
+      });
+      return { admin, calls };
+    }
+
+    it("skips values that list the same locations and tells written from created", async () => {
+      const sameButOlder = buildLocationsPayload([
+        { id: 1, name: "Warehouse", available: 4, updatedAt: "2025-05-01T08:00:00.000Z" },
+      ]);
+      const different = buildLocationsPayload([
+        { id: 1, name: "Warehouse", available: 9, updatedAt: "2025-05-01T08:00:00.000Z" },
+      ]);
+      const { admin, calls } = adminWithValues({
+        [entry(1).ownerId]: JSON.stringify(sameButOlder),
+        [entry(2).ownerId]: JSON.stringify(different),
+        [entry(3).ownerId]: null,
+        [entry(4).ownerId]: "not json",
+      });
+
+      const results = await writeLocationMetafields(
+        admin,
+        [entry(1), entry(2), entry(3), entry(4)],
+        target,
+        null,
+        { skipUnchanged: true }
+      );
+
+      expect(calls).toEqual([[entry(2).ownerId, entry(3).ownerId, entry(4).ownerId]]);
+      expect(results.map((result) => result.outcome)).toEqual(["skipped", "written", "created", "written"]);
+    });
+
+    it("uses the previous value entries bring instead of looking it up", async () => {
+      const { admin, calls } = adminWithValues({});
+
+      const results = await writeLocationMetafields(
+        admin,
+        [{ ...entry(1), previousValue: JSON.stringify(payload) }, { ...entry(2), previousValue: null }],
+        target,
+        null,
+        { skipUnchanged: true }
+      );
+
+      expect(admin.graphql).toHaveBeenCalledTimes(1);
+      expect(calls).toEqual([[entry(2).ownerId]]);
+      expect(results.map((result) => result.outcome)).toEqual(["skipped", "created"]);
+    });
+  });
+});
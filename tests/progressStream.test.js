@@ -0,0 +1,166 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import db from "../app/db.server";
+import { createProgressStream } from "../app/utils/progressStream.server";
+
+vi.mock("../app/db.server", async () => ({
+  default: (await import("./support/fakeDb")).createFakeDb(["syncJob", "syncJobError"]),
+}));
+
+const shop = "test.myshopify.com";
+
+// Reads the stream in the background. `events` collects what was sent as
+// `{ event, data }`, heartbeats as `{ event: "heartbeat" }`, and `done`
+// resolves once the stream has closed.
+function openStream(signal = new AbortController().signal) {
+  const response = createProgressStream(shop, signal);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+
+  const done = (async () => {
+    for (;;) {
+      const { value, done: finished } = await reader.read();
+      if (finished) return;
+
+      const text = decoder.decode(value);
+      if (text.startsWith(":")) {
+        events.push({ event: "heartbeat" });
+      } else {
+        const [, event, data] = /^event: (.+)\ndata: (.+)\n\n$/.exec(text);
+        events.push({ event, data: JSON.parse(data) });
+      }
+    }
+  })();
+
+  return { response, events, done };
+}
+
+const names = (events) => events.map((event) => event.event);
+
+// Moves the clock on without running timers, so a write gets a new updatedAt
+const tick = () => vi.setSystemTime(Date.now() + 10);
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  db.reset();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("createProgressStream", () => {
+  it("is served as an event stream", () => {
+    const controller = new AbortController();
+    const { response } = openStream(controller.signal);
+
+    expect(response.headers.get("Content-Type")).toBe("text/event-stream");
+    expect(response.headers.get("Cache-Control")).toBe("no-cache, no-transform");
+    controller.abort();
+  });
+
+  it("sends the latest job's batches, errors and progress as they change", async () => {
+    const job = await db.syncJob.create({ data: { shop, currentBatch: 1, totalVariants: 50 } });
+    const controller = new AbortController();
+    const { events } = openStream(controller.signal);
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(names(events)).toEqual(["batch", "progress"]);
+    expect(events[0].data).toEqual({ jobId: job.id, batch: 1, processedVariants: 0, totalVariants: 50 });
+
+    tick();
+    await db.syncJob.update({ where: { id: job.id }, data: { currentBatch: 2, processedVariants: 25 } });
+    await db.syncJobError.create({ data: { jobId: job.id, type: "apiError", variantId: "gid://shopify/ProductVariant/3", message: "Throttled" } });
+    events.length = 0;
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(names(events)).toEqual(["batch", "job-error", "progress"]);
+    expect(events[1].data).toMatchObject({ jobId: job.id, type: "apiError", error: "Throttled" });
+    expect(events[2].data).toMatchObject({ jobId: job.id, processedVariants: 25, currentBatch: 2, isProcessing: true });
+
+    // Nothing changed, nothing is sent
+    events.length = 0;
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(events).toEqual([]);
+
+    controller.abort();
+  });
+
+  it("follows a newer job from its first batch and error", async () => {
+    const first = await db.syncJob.create({ data: { shop, currentBatch: 3 } });
+    await db.syncJobError.create({ data: { jobId: first.id, type: "apiError", message: "Old" } });
+    const controller = new AbortController();
+    const { events } = openStream(controller.signal);
+    await vi.advanceTimersByTimeAsync(0);
+
+    tick();
+    const second = await db.syncJob.create({ data: { shop, currentBatch: 3 } });
+    await db.syncJobError.create({ data: { jobId: second.id, type: "apiError", message: "New" } });
+    events.length = 0;
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(names(events)).toEqual(["batch", "job-error", "progress"]);
+    expect(events[0].data).toMatchObject({ jobId: second.id, batch: 3 });
+    expect(events[1].data).toMatchObject({ jobId: second.id, error: "New" });
+
+    controller.abort();
+  });
+
+  it("reports that there is no job yet", async () => {
+    const controller = new AbortController();
+    const { events } = openStream(controller.signal);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(events).toEqual([{ event: "progress", data: expect.objectContaining({ isProcessing: false, totalVariants: 0 }) }]);
+    controller.abort();
+  });
+
+  it("sends heartbeats while nothing changes", async () => {
+    const controller = new AbortController();
+    const { events } = openStream(controller.signal);
+    await vi.advanceTimersByTimeAsync(15 * 1000);
+
+    expect(names(events)).toEqual(["progress", "heartbeat"]);
+    controller.abort();
+  });
+
+  it("closes and stops its timers when the request goes away", async () => {
+    const controller = new AbortController();
+    const { done } = openStream(controller.signal);
+    await vi.advanceTimersByTimeAsync(0);
+
+    controller.abort();
+    await done;
+
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it("closes after ten minutes, for the browser to reconnect", async () => {
+    const { done } = openStream();
+
+    await vi.advanceTimersByTimeAsync(10 * 60 * 1000);
+    await done;
+
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it("closes at once for a request that is already gone", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const { events, done } = openStream(controller.signal);
+
+    await done;
+
+    expect(events).toEqual([]);
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it("stops when the browser cancels the stream", async () => {
+    const response = createProgressStream(shop, new AbortController().signal);
+    await vi.advanceTimersByTimeAsync(0);
+
+    await response.body.cancel();
+
+    expect(vi.getTimerCount()).toBe(0);
+  });
+});
@@ -0,0 +1,123 @@
+import { createHmac } from "node:crypto";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import db from "../app/db.server";
+import { loader } from "../app/routes/proxy.availability";
+
+vi.mock("../app/db.server", async () => ({
+  default: (await import("./support/fakeDb")).createFakeDb(["variant", "inventoryLevel", "location", "shopSettings"]),
+}));
+
+const { secret } = vi.hoisted(() => ({ secret: "proxy-secret" }));
+
+// The real app proxy check, with a secret the tests sign with and no sessions
+vi.mock("../app/shopify.server", async () => {
+  await import("@shopify/shopify-app-remix/adapters/node");
+  const { ApiVersion, shopifyApp } = await import("@shopify/shopify-app-remix/server");
+
+  return shopifyApp({
+    apiKey: "api-key",
+    apiSecretKey: secret,
+    apiVersion: ApiVersion.January25,
+    appUrl: "https://app.example.com",
+    scopes: [],
+    logger: { level: 0 },
+    sessionStorage: {
+      storeSession: async () => true,
+      loadSession: async () => undefined,
+      deleteSession: async () => true,
+      deleteSessions: async () => true,
+      findSessionsByShop: async () => [],
+    },
+  });
+});
+
+const shop = "test.myshopify.com";
+
+// Signs the parameters the way Shopify's app proxy does: every `key=value`
+// sorted and joined without separators
+function sign(params) {
+  const message = Object.entries(params)
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join("");
+  return createHmac("sha256", secret).update(message).digest("hex");
+}
+
+function proxyRequest(params, signature = sign(params)) {
+  const searchParams = new URLSearchParams({ ...params, signature });
+  return new Request(`https://app.example.com/proxy/availability?${searchParams}`);
+}
+
+const load = (params, signature) => loader({ request: proxyRequest({ shop, ...params }, signature) });
+
+beforeEach(() => {
+  db.reset();
+  db.tables.location.push({ shop, id: "1", name: "Warehouse", isActive: true, pickupEnabled: false });
+  db.tables.variant.push({ shop, id: "gid://shopify/ProductVariant/10", updatedAt: new Date(Date.UTC(2025, 5, 1)) });
+  db.tables.inventoryLevel.push({
+    shop,
+    variantId: "gid://shopify/ProductVariant/10",
+    locationId: "1",
+    available: 4,
+    changedAt: new Date(Date.UTC(2025, 5, 1)),
+  });
+});
+
+describe("proxy.availability loader", () => {
+  it("answers signed requests with the snapshot's availability and cache headers", async () => {
+    const response = await load({ variant_ids: "10,gid://shopify/ProductVariant/11" });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Cache-Control")).toBe("public, max-age=30, stale-while-revalidate=30");
+    expect(response.headers.get("Access-Control-Allow-Origin")).toBe("*");
+
+    const body = await response.json();
+    expect(body.missing).toEqual(["11"]);
+    expect(body.variants).toHaveLength(1);
+    expect(body.variants[0].id).toBe("10");
+    expect(body.variants[0].locations.map(({ id, available }) => ({ id, available }))).toEqual([{ id: 1, available: 4 }]);
+  });
+
+  it("rejects requests without a valid signature", async () => {
+    const unsigned = await load({ variant_ids: "10" }, "").catch((response) => response);
+    const tampered = await loader({
+      request: proxyRequest({ shop, variant_ids: "10" }, sign({ shop, variant_ids: "12" })),
+    }).catch((response) => response);
+
+    expect(unsigned.status).toBe(400);
+    expect(tampered.status).toBe(400);
+  });
+
+  it("validates the ids it is asked for", async () => {
+    const tooMany = Array.from({ length: 101 }, (_, index) => String(index + 1)).join(",");
+    const cases = [
+      [{}, "Pass the variants as variant_ids."],
+      [{ variant_ids: tooMany }, "Ask for at most 100 variants at a time."],
+      [{ variant_ids: "10,abc" }, "Ids must be numeric ids or GIDs."],
+      [{ variant_ids: "10", location_ids: "gid://shopify/Location/x" }, "Ids must be numeric ids or GIDs."],
+    ];
+
+    for (const [params, error] of cases) {
+      const response = await load(params);
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ error });
+    }
+  });
+
+  it("lists only the locations asked for", async () => {
+    db.tables.location.push({ shop, id: "2", name: "Store", isActive: true, pickupEnabled: true });
+    db.tables.inventoryLevel.push({
+      shop,
+      variantId: "gid://shopify/ProductVariant/10",
+      locationId: "2",
+      available: 2,
+      changedAt: new Date(Date.UTC(2025, 5, 1)),
+    });
+
+    const response = await load({ variant_ids: "10", location_ids: "gid://shopify/Location/2" });
+    const body = await response.json();
+
+    expect(body.variants).toHaveLength(1);
+    expect(body.variants[0].locations.map(({ id }) => id)).toEqual([2]);
+  });
+});
@@ -0,0 +1,180 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import db from "../app/db.server";
+import {
+  checkStockAlerts,
+  notifyStockAlertsSince,
+  registerAlertTransport,
+} from "../app/utils/alertChannels.server";
+import { evaluateStockAlerts, findAlertRule } from "../app/utils/stockAlerts.server";
+
+vi.mock("../app/db.server", async () => ({
+  default: (await import("./support/fakeDb")).createFakeDb(),
+}));
+
+const shop = "test.myshopify.com";
+const shirt = { shop, id: "gid://shopify/ProductVariant/1", productTags: JSON.stringify(["Summer", "Sale"]) };
+const mug = { shop, id: "gid://shopify/ProductVariant/2", productTags: null };
+
+let nextRuleId = 0;
+const rule = (scope, threshold, { value = null, locationId = null } = {}) =>
+  ({ id: ++nextRuleId, shop, scope, value, locationId, threshold, createdAt: new Date() });
+
+const setLevel = (variant, locationId, available) => {
+  const existing = db.tables.inventoryLevel.find(
+    (level) => level.variantId === variant.id && level.locationId === locationId
+  );
+  if (existing) {
+    existing.available = available;
+  } else {
+    db.tables.inventoryLevel.push({ shop, variantId: variant.id, locationId, available, changedAt: new Date() });
+  }
+};
+
+const openAlerts = () => db.tables.stockAlert
+  .filter((alert) => alert.status === "open")
+  .map(({ variantId, locationId, kind }) => ({ variantId, locationId, kind }));
+
+beforeEach(() => {
+  db.reset();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+describe("findAlertRule", () => {
+  it("prefers variant rules over tag rules over location rules", () => {
+    const every = rule("location", 5);
+    const tagged = rule("tag", 3, { value: "sale" });
+    const variant = rule("variant", 1, { value: shirt.id });
+
+    expect(findAlertRule([every, tagged, variant], shirt, "1")).toBe(variant);
+    expect(findAlertRule([every, tagged], shirt, "1")).toBe(tagged);
+    expect(findAlertRule([every, tagged], mug, "1")).toBe(every);
+  });
+
+  it("prefers a rule for the level's location over one for every location", () => {
+    const every = rule("location", 5);
+    const warehouse = rule("location", 2, { locationId: "1" });
+
+    expect(findAlertRule([every, warehouse], mug, "1")).toBe(warehouse);
+    expect(findAlertRule([every, warehouse], mug, "2")).toBe(every);
+  });
+
+  it("takes the highest threshold of equal rules and matches tags in any case", () => {
+    const low = rule("tag", 2, { value: "SUMMER" });
+    const high = rule("tag", 4, { value: "summer" });
+
+    expect(findAlertRule([low, high], shirt, "1")).toBe(high);
+  });
+
+  it("returns null when no rule applies", () => {
+    expect(findAlertRule([rule("tag", 3, { value: "sale" })], mug, "1")).toBeNull();
+    expect(findAlertRule([rule("location", 3, { locationId: "9" })], mug, "1")).toBeNull();
+  });
+});
+
+describe("evaluateStockAlerts", () => {
+  beforeEach(() => {
+    db.tables.variant.push({ ...shirt }, { ...mug });
+    db.tables.alertRule.push(rule("location", 5));
+  });
+
+  it("raises low and out of stock alerts at the threshold", async () => {
+    setLevel(shirt, "1", 5);
+    setLevel(shirt, "2", 6);
+    setLevel(mug, "1", 0);
+
+    const alerts = await evaluateStockAlerts(shop, [shirt.id, mug.id]);
+
+    expect(alerts.map(({ variantId, locationId, kind, available, threshold }) =>
+      ({ variantId, locationId, kind, available, threshold }))).toEqual([
+      { variantId: shirt.id, locationId: "1", kind: "low", available: 5, threshold: 5 },
+      { variantId: mug.id, locationId: "1", kind: "out", available: 0, threshold: 5 },
+    ]);
+  });
+
+  it("does not raise an alert again while it is open", async () => {
+    setLevel(shirt, "1", 3);
+    await evaluateStockAlerts(shop, [shirt.id]);
+    setLevel(shirt, "1", 2);
+
+    expect(await evaluateStockAlerts(shop, [shirt.id])).toEqual([]);
+    expect(openAlerts()).toEqual([{ variantId: shirt.id, locationId: "1", kind: "low" }]);
+  });
+
+  it("resolves an alert once the level recovers, so it can alert again", async () => {
+    setLevel(shirt, "1", 3);
+    await evaluateStockAlerts(shop, [shirt.id]);
+    setLevel(shirt, "1", 20);
+
+    expect(await evaluateStockAlerts(shop, [shirt.id])).toEqual([]);
+    expect(openAlerts()).toEqual([]);
+
+    setLevel(shirt, "1", 4);
+    expect(await evaluateStockAlerts(shop, [shirt.id])).toHaveLength(1);
+  });
+
+  it("alerts again when a level moves from low to out", async () => {
+    setLevel(shirt, "1", 3);
+    await evaluateStockAlerts(shop, [shirt.id]);
+    setLevel(shirt, "1", 0);
+
+    const [alert] = await evaluateStockAlerts(shop, [shirt.id]);
+
+    expect(alert.kind).toBe("out");
+    expect(openAlerts()).toEqual([{ variantId: shirt.id, locationId: "1", kind: "out" }]);
+  });
+
+  it("resolves the alerts of levels that are gone", async () => {
+    setLevel(shirt, "1", 3);
+    await evaluateStockAlerts(shop, [shirt.id]);
+    db.tables.inventoryLevel = [];
+
+    await evaluateStockAlerts(shop, [shirt.id]);
+
+    expect(openAlerts()).toEqual([]);
+  });
+
+  it("only looks at the given variants", async () => {
+    setLevel(shirt, "1", 0);
+    setLevel(mug, "1", 0);
+
+    const alerts = await evaluateStockAlerts(shop, [mug.id]);
+
+    expect(alerts.map((alert) => alert.variantId)).toEqual([mug.id]);
+  });
+});
+
+describe("checkStockAlerts", () => {
+  const sent = [];
+
+  beforeEach(() => {
+    sent.length = 0;
+    registerAlertTransport("test", async (channel, message) => {
+      sent.push(message.alerts.map((alert) => alert.variantId));
+    });
+    db.tables.variant.push({ ...shirt }, { ...mug });
+    db.tables.alertRule.push(rule("location", 5));
+    db.tables.alertChannel.push({ id: 1, shop, type: "test", frequency: "instant" });
+  });
+
+  it("sends what each check raises", async () => {
+    setLevel(shirt, "1", 3);
+    await checkStockAlerts(shop, [shirt.id]);
+
+    expect(sent).toEqual([[shirt.id]]);
+  });
+
+  it("only records alerts without notify, for one message at the end of a sync", async () => {
+    const since = new Date();
+    setLevel(shirt, "1", 3);
+    await checkStockAlerts(shop, [shirt.id], { notify: false });
+    setLevel(mug, "1", 0);
+    await checkStockAlerts(shop, [mug.id], { notify: false });
+
+    expect(sent).toEqual([]);
+
+    await notifyStockAlertsSince(shop, since);
+    await notifyStockAlertsSince(shop, since);
+
+    expect(sent).toEqual([[shirt.id, mug.id]]);
+  });
+});
@@ -0,0 +1,208 @@
+// An in-memory stand-in for the Prisma client, with just the queries the
+// tested modules make. Tests mock ../app/db.server with it:
+//
+//   vi.mock("../app/db.server", async () => ({ default: (await import("./support/fakeDb")).createFakeDb() }));
+//
+// Rows are plain objects in `db.tables[model]`; `db.reset()` empties them.
+
+const RELATIONS = {
+  variant: { levels: { model: "inventoryLevel", matches: (variant, level) => level.shop === variant.shop && level.variantId === variant.id } },
+};
+
+// Column defaults of the schema that the tested modules rely on
+const DEFAULTS = {
+  stockAlert: { status: "open", resolvedAt: null, notifiedAt: null },
+  syncJob: {
+    status: "running",
+    mode: "full",
+    trigger: "manual",
+    parentJobId: null,
+    cursor: null,
+    bulkOperationId: null,
+    bulkResultUrl: null,
+    options: null,
+    control: null,
+    totalVariants: 0,
+    processedVariants: 0,
+    currentBatch: 0,
+    skippedVariants: 0,
+    writtenVariants: 0,
+    createdVariants: 0,
+    message: null,
+    completedAt: null,
+  },
+  syncJobError: { variantId: null, batch: null, details: null },
+  driftEntry: { repaired: false },
+};
+
+// Models with an @updatedAt column, which is set on every write
+const UPDATED_AT = ["syncJob"];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date);
+
+const compare = (a, b) => (a instanceof Date ? a.getTime() : a) - (b instanceof Date ? b.getTime() : b);
+
+function matchesCondition(value, condition) {
+  if (!isPlainObject(condition)) {
+    return compare(value, condition) === 0 || value === condition;
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "in":
+        return operand.includes(value);
+      case "notIn":
+        return !operand.includes(value);
+      case "not":
+        return operand === null ? value !== null && value !== undefined : !matchesCondition(value, operand);
+      case "lt":
+        return value !== null && compare(value, operand) < 0;
+      case "lte":
+        return value !== null && compare(value, operand) <= 0;
+      case "gt":
+        return value !== null && compare(value, operand) > 0;
+      case "gte":
+        return value !== null && compare(value, operand) >= 0;
+      case "contains":
+        return typeof value === "string" && value.includes(operand);
+      default:
+        throw new Error(`fakeDb does not support the ${operator} filter`);
+    }
+  });
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (field === "OR") return condition.some((part) => matches(row, part));
+    if (field === "AND") return condition.every((part) => matches(row, part));
+    // Compound unique keys like shop_id: { shop, id }
+    if (!(field in row) && isPlainObject(condition) && field.includes("_")) return matches(row, condition);
+    return matchesCondition(row[field] ?? null, condition);
+  });
+}
+
+function createModel(db, name) {
+  const rows = () => db.tables[name];
+
+  const shape = (row, { select, include } = {}) => {
+    const result = { ...row };
+    Object.keys(include || {}).forEach((relation) => {
+      const { model, matches: belongs } = RELATIONS[name][relation];
+      result[relation] = db.tables[model].filter((other) => belongs(row, other)).map((other) => ({ ...other }));
+    });
+    return select ? Object.fromEntries(Object.keys(select).map((field) => [field, result[field]])) : result;
+  };
+
+  const findMany = async ({ where, orderBy, skip, take, distinct, select, include } = {}) => {
+    let found = rows().filter((row) => matches(row, where));
+
+    if (orderBy) {
+      const [[field, direction]] = Object.entries(orderBy);
+      found = [...found].sort((a, b) => compare(a[field], b[field]) * (direction === "desc" ? -1 : 1));
+    }
+    if (distinct) {
+      const seen = new Set();
+      found = found.filter((row) => {
+        const key = distinct.map((field) => row[field]).join("\u0000");
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+    if (skip !== undefined) found = found.slice(skip);
+    if (take !== undefined) found = found.slice(0, take);
+
+    return found.map((row) => shape(row, { select, include }));
+  };
+
+  const create = async ({ data }) => {
+    const row = { ...DEFAULTS[name], ...data };
+    if (!("id" in row)) row.id = ++db.sequence;
+    if (!("createdAt" in row)) row.createdAt = new Date();
+    if (name === "syncJob" && !("startedAt" in row)) row.startedAt = row.createdAt;
+    if (UPDATED_AT.includes(name)) row.updatedAt = new Date();
+    rows().push(row);
+    return { ...row };
+  };
+
+  const updateMany = async ({ where, data }) => {
+    const found = rows().filter((row) => matches(row, where));
+    found.forEach((row) => {
+      Object.entries(data).forEach(([field, value]) => {
+        row[field] = isPlainObject(value) && "increment" in value ? (row[field] || 0) + value.increment : value;
+      });
+      if (UPDATED_AT.includes(name)) row.updatedAt = new Date();
+    });
+    return { count: found.length };
+  };
+
+  const deleteMany = async ({ where } = {}) => {
+    const before = rows().length;
+    db.tables[name] = rows().filter((row) => !matches(row, where));
+    return { count: before - rows().length };
+  };
+
+  return {
+    findMany,
+    findFirst: async (args) => (await findMany({ ...args, take: 1 }))[0] ?? null,
+    findUnique: async (args) => (await findMany({ ...args, take: 1 }))[0] ?? null,
+    count: async ({ where } = {}) => rows().filter((row) => matches(row, where)).length,
+    // Only counts, as `_count: { _all: true }`
+    groupBy: async ({ by, where }) => {
+      const groups = new Map();
+      rows().filter((row) => matches(row, where)).forEach((row) => {
+        const key = by.map((field) => row[field]).join("\u0000");
+        const group = groups.get(key) || { ...Object.fromEntries(by.map((field) => [field, row[field]])), _count: { _all: 0 } };
+        group._count._all++;
+        groups.set(key, group);
+      });
+      return [...groups.values()];
+    },
+    create,
+    createMany: async ({ data }) => {
+      for (const row of data) await create({ data: row });
+      return { count: data.length };
+    },
+    update: async ({ where, data }) => {
+      await updateMany({ where, data });
+      return shape(rows().find((row) => matches(row, where)));
+    },
+    updateMany,
+    upsert: async ({ where, create: createData, update }) => {
+      const existing = rows().find((row) => matches(row, where));
+      if (!existing) return create({ data: createData });
+      await updateMany({ where, data: update });
+      return { ...existing };
+    },
+    delete: async ({ where }) => {
+      const existing = rows().find((row) => matches(row, where));
+      if (!existing) throw new Error(`No ${name} to delete`);
+      await deleteMany({ where });
+      return existing;
+    },
+    deleteMany,
+  };
+}
+
+export function createFakeDb(models = ["variant", "inventoryLevel", "location", "alertRule", "stockAlert", "alertChannel"]) {
+  const db = { tables: {}, sequence: 0 };
+
+  db.reset = () => {
+    models.forEach((model) => {
+      db.tables[model] = [];
+    });
+    db.sequence = 0;
+  };
+  db.reset();
+
+  models.forEach((model) => {
+    db[model] = createModel(db, model);
+  });
+
+  // Operations run as they are built, so a list of them is already done
+  db.$transaction = async (operations) =>
+    typeof operations === "function" ? operations(db) : Promise.all(operations);
+
+  return db;
+}
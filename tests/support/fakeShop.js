@@ -0,0 +1,108 @@
+// A stand-in for a shop's Admin API with just the queries the sync runners
+// make. Variants are `{ n, levels, metafield }`: `levels` maps numeric
+// location ids to quantities and `metafield` is the stored value (a payload,
+// text, or null for none).
+//
+//   const shop = createFakeShop([{ n: 1, levels: { 1: 5 }, metafield: null }]);
+//   await processVariantsInBackground(shop.admin, job);
+//
+// `shop.metafields` holds what the variants' metafields now store, as text,
+// and `shop.writes` the owner ids of every metafieldsSet call. `onQuery(name,
+// variables)` runs before each query is answered; throwing from it fails the
+// query.
+
+export const variantGid = (n) => `gid://shopify/ProductVariant/${n}`;
+const itemGid = (n) => `gid://shopify/InventoryItem/${n}`;
+
+export function createFakeShop(variants, { locations = [{ id: "1", name: "Warehouse" }], onQuery } = {}) {
+  const metafields = new Map(variants.map((variant) => [
+    variantGid(variant.n),
+    typeof variant.metafield === "string" ? variant.metafield : variant.metafield ? JSON.stringify(variant.metafield) : null,
+  ]));
+  const writes = [];
+  const byItem = new Map(variants.map((variant) => [itemGid(variant.n), variant]));
+
+  const levelEdges = (variant) => Object.entries(variant.levels).map(([locationId, quantity]) => ({
+    node: {
+      quantities: [{ quantity }],
+      location: { id: `gid://shopify/Location/${locationId}`, name: `Location ${locationId}` },
+    },
+  }));
+
+  const node = (variant) => {
+    const value = metafields.get(variantGid(variant.n));
+    return {
+      id: variantGid(variant.n),
+      title: `Variant ${variant.n}`,
+      sku: `SKU-${variant.n}`,
+      product: { id: "gid://shopify/Product/1", title: "Shirt", tags: [] },
+      inventoryItem: {
+        id: itemGid(variant.n),
+        // Variants with `manyLevels` need their levels fetched on their own
+        inventoryLevels: {
+          pageInfo: { hasNextPage: Boolean(variant.manyLevels) },
+          edges: variant.manyLevels ? [] : levelEdges(variant),
+        },
+      },
+      metafield: value === null ? null : { value },
+    };
+  };
+
+  const answers = {
+    GetShopLocations: () => ({
+      locations: {
+        pageInfo: { hasNextPage: false, endCursor: null },
+        nodes: locations.map((location) => ({
+          id: `gid://shopify/Location/${location.id}`,
+          name: location.name,
+          isActive: true,
+          localPickupSettingsV2: null,
+        })),
+      },
+    }),
+    CountVariants: () => ({ productVariantsCount: { count: variants.length } }),
+    GetVariants: (variables, query) => pageOfVariants(variables, query),
+    GetVariantsForReconcile: (variables, query) => pageOfVariants(variables, query),
+    GetVariantsById: ({ ids }) => ({
+      nodes: ids.map((id) => variants.find((variant) => variantGid(variant.n) === id)).map((variant) => variant ? node(variant) : null),
+    }),
+    InventoryLevels: ({ inventoryItemId }) => ({
+      inventoryItem: { inventoryLevels: { edges: levelEdges(byItem.get(inventoryItemId)) } },
+    }),
+    GetPreviousValues: ({ ids }) => ({
+      nodes: ids.map((id) => ({ id, metafield: metafields.get(id) === null ? null : { value: metafields.get(id) } })),
+    }),
+    SetMetafields: ({ metafields: inputs }) => {
+      writes.push(inputs.map((input) => input.ownerId));
+      inputs.forEach((input) => metafields.set(input.ownerId, input.value));
+      return { metafieldsSet: { metafields: [], userErrors: [] } };
+    },
+  };
+
+  // Pages of `first` variants, with the index of the next one as cursor
+  function pageOfVariants({ cursor }, query) {
+    const first = parseInt(/productVariants\(first: (\d+)/.exec(query)[1], 10);
+    const start = cursor ? parseInt(cursor, 10) : 0;
+    const page = variants.slice(start, start + first);
+
+    return {
+      productVariants: {
+        pageInfo: { hasNextPage: start + first < variants.length, endCursor: String(start + page.length) },
+        edges: page.map((variant) => ({ node: node(variant) })),
+      },
+    };
+  }
+
+  const admin = {
+    graphql: async (query, { variables = {} } = {}) => {
+      const name = /(?:query|mutation) (\w+)/.exec(query)[1];
+      if (!answers[name]) throw new Error(`fakeShop does not answer ${name}`);
+
+      await onQuery?.(name, variables);
+      const data = answers[name](variables, query);
+      return { json: async () => ({ data }) };
+    },
+  };
+
+  return { admin, metafields, writes };
+}
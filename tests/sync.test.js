@@ -0,0 +1,211 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import db from "../app/db.server";
+import { applySyncPlan, processVariantsInBackground, reconcileInventory } from "../app/utils/sync.server";
+import { requestSyncJobControl, resumeSyncJob } from "../app/utils/syncJobs.server";
+import { createFakeShop, variantGid } from "./support/fakeShop";
+
+vi.mock("../app/db.server", async () => ({
+  default: (await import("./support/fakeDb")).createFakeDb([
+    "variant",
+    "inventoryLevel",
+    "location",
+    "alertRule",
+    "stockAlert",
+    "alertChannel",
+    "shopSettings",
+    "syncJob",
+    "syncJobError",
+    "syncPlanEntry",
+    "driftEntry",
+    "metafieldAudit",
+  ]),
+}));
+
+const shop = "test.myshopify.com";
+
+const startJob = (data = {}) => db.syncJob.create({ data: { shop, ...data } });
+const findJob = (id) => db.syncJob.findFirst({ where: { id } });
+const jobErrors = () => db.tables.syncJobError.map(({ variantId, type, message }) => ({ variantId, type, message }));
+
+// Variants 1 to `count`, each with a few items at location 1
+const catalog = (count) => Array.from({ length: count }, (_, index) => ({ n: index + 1, levels: { 1: index + 1 }, metafield: null }));
+
+// The value a sync stores for a variant with one item at location 1
+async function storedValue() {
+  const shop = createFakeShop([{ n: 1, levels: { 1: 1 }, metafield: null }]);
+  await processVariantsInBackground(shop.admin, await startJob());
+  return shop.metafields.get(variantGid(1));
+}
+
+beforeEach(() => {
+  db.reset();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("pausing, cancelling and resuming a sync", () => {
+  // Requests `control` while the second page is fetched. Jobs look for
+  // requests at most once a second, so the clock moves on with it.
+  const stopAtSecondPage = (control, job) => async (name, variables) => {
+    if (name === "GetVariants" && variables.cursor === "25") {
+      await requestSyncJobControl(shop, job.id, control);
+      vi.advanceTimersByTime(1001);
+    }
+  };
+
+  it("pauses within a page and resumes after the last completed one", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const job = await startJob();
+    const variants = catalog(60);
+    const paused = createFakeShop(variants, { onQuery: stopAtSecondPage("pause", job) });
+
+    expect(await processVariantsInBackground(paused.admin, job)).toMatchObject({ stopped: "paused", batchCount: 2 });
+    expect(await findJob(job.id)).toMatchObject({ status: "paused", cursor: "25", currentBatch: 1, processedVariants: 25 });
+    expect(paused.writes.flat()).toHaveLength(25);
+
+    const { job: resumed } = await resumeSyncJob(shop, job.id);
+    const rest = createFakeShop(variants);
+    await processVariantsInBackground(rest.admin, resumed);
+
+    expect(rest.writes.flat()).toEqual(variants.slice(25).map((variant) => variantGid(variant.n)));
+    expect(await findJob(job.id)).toMatchObject({ status: "completed", processedVariants: 60, currentBatch: 3 });
+  });
+
+  it("keeps the pages written before a cancel and cannot be resumed", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const job = await startJob();
+    const { admin, writes } = createFakeShop(catalog(60), { onQuery: stopAtSecondPage("cancel", job) });
+
+    expect(await processVariantsInBackground(admin, job)).toMatchObject({ stopped: "cancelled" });
+    expect(await findJob(job.id)).toMatchObject({ status: "cancelled", control: null });
+    expect(writes.flat()).toHaveLength(25);
+    expect((await resumeSyncJob(shop, job.id)).job).toBeNull();
+  });
+});
+
+describe("processVariantsInBackground", () => {
+  it("leaves unchanged values alone and counts what it wrote", async () => {
+    const stored = await storedValue();
+
+    const { admin, writes } = createFakeShop([
+      { n: 1, levels: { 1: 1 }, metafield: stored },
+      { n: 2, levels: { 1: 2 }, metafield: stored },
+      { n: 3, levels: { 1: 3 }, metafield: null },
+      { n: 4, levels: { 1: 4 }, metafield: "not json" },
+    ]);
+    const job = await startJob();
+
+    await processVariantsInBackground(admin, job);
+
+    expect(writes).toEqual([[variantGid(2), variantGid(3), variantGid(4)]]);
+    expect(await findJob(job.id)).toMatchObject({
+      status: "completed",
+      writtenVariants: 2,
+      createdVariants: 1,
+      skippedVariants: 1,
+      message: "Processed 4 variants across 1 batches: 2 updated, 1 created, 1 unchanged",
+    });
+  });
+});
+
+describe("dry runs and applySyncPlan", () => {
+  // One variant that is up to date, one to update and one to create
+  async function plannedShop() {
+    const stored = await storedValue();
+    const shop = createFakeShop([
+      { n: 1, levels: { 1: 1 }, metafield: stored },
+      { n: 2, levels: { 1: 2 }, metafield: stored },
+      { n: 3, levels: { 1: 3 }, metafield: null },
+    ]);
+    const plan = await startJob({ options: JSON.stringify({ dryRun: true }) });
+    await processVariantsInBackground(shop.admin, plan);
+
+    return { shop, plan, stored };
+  }
+
+  const planned = () => db.tables.syncPlanEntry.map(({ variantId, change, oldValue }) => ({ variantId, change, oldValue }));
+
+  it("plans the changed values without writing them", async () => {
+    const { shop, plan, stored } = await plannedShop();
+
+    expect(shop.writes).toEqual([]);
+    expect(planned()).toEqual([
+      { variantId: variantGid(2), change: "update", oldValue: stored },
+      { variantId: variantGid(3), change: "create", oldValue: null },
+    ]);
+    expect(await findJob(plan.id)).toMatchObject({
+      status: "completed",
+      message: "Dry run — Processed 3 variants across 1 batches. Planned: 1 updated, 1 created, 1 unchanged. Nothing was written.",
+    });
+    expect(db.tables.metafieldAudit.filter((row) => row.jobId === plan.id)).toEqual([]);
+  });
+
+  it("writes exactly the planned values", async () => {
+    const { shop, plan } = await plannedShop();
+    const job = await startJob({ mode: "apply", parentJobId: plan.id });
+
+    const result = await applySyncPlan(shop.admin, job);
+
+    expect(result).toMatchObject({ success: true, processedVariants: 2 });
+    expect(shop.writes).toEqual([[variantGid(2), variantGid(3)]]);
+    db.tables.syncPlanEntry.forEach((entry) => {
+      expect(shop.metafields.get(entry.variantId)).toBe(entry.newValue);
+    });
+    expect(await findJob(job.id)).toMatchObject({
+      status: "completed",
+      cursor: "2",
+      message: "Applied the dry run plan: 1 updated, 1 created, 0 failed",
+    });
+  });
+
+  it("writes the planned values over ones that changed since the plan was made", async () => {
+    const { shop, plan, stored } = await plannedShop();
+    const changed = JSON.stringify({ ...JSON.parse(stored), changedElsewhere: true });
+    shop.metafields.set(variantGid(2), changed);
+    shop.metafields.set(variantGid(3), stored);
+    const job = await startJob({ mode: "apply", parentJobId: plan.id });
+
+    await applySyncPlan(shop.admin, job);
+
+    expect(shop.writes).toEqual([[variantGid(2), variantGid(3)]]);
+    db.tables.syncPlanEntry.forEach((entry) => {
+      expect(shop.metafields.get(entry.variantId)).toBe(entry.newValue);
+    });
+    // Counted and audited as planned
+    expect(await findJob(job.id)).toMatchObject({ writtenVariants: 1, createdVariants: 1 });
+    const audited = db.tables.metafieldAudit.filter((row) => row.jobId === job.id);
+    expect(audited.map(({ variantId, oldValue }) => ({ variantId, oldValue }))).toEqual([
+      { variantId: variantGid(2), oldValue: stored },
+      { variantId: variantGid(3), oldValue: null },
+    ]);
+  });
+});
+
+describe("reconcileInventory", () => {
+  it("records a variant whose levels cannot be read and checks the others", async () => {
+    const { admin, writes } = createFakeShop(
+      [
+        { n: 1, levels: { 1: 5 }, metafield: null },
+        { n: 2, levels: { 1: 2 }, metafield: null, manyLevels: true },
+        { n: 3, levels: { 1: 7 }, metafield: null },
+      ],
+      {
+        onQuery: (name) => {
+          if (name === "InventoryLevels") throw new Error("Throttled");
+        },
+      }
+    );
+    const job = await startJob({ mode: "reconcile", options: JSON.stringify({ repair: true }) });
+
+    const result = await reconcileInventory(admin, job);
+
+    expect(result.success).toBe(true);
+    expect(jobErrors()).toEqual([{ variantId: variantGid(2), type: "apiError", message: "Throttled" }]);
+    expect(writes).toEqual([[variantGid(1), variantGid(3)]]);
+    expect((await db.syncJob.findFirst({ where: { id: job.id } })).status).toBe("completed");
+  });
+});
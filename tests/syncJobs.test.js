@@ -0,0 +1,115 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import db from "../app/db.server";
+import {
+  SyncJobStopRequested,
+  checkSyncJobControl,
+  finishSyncJob,
+  requestSyncJobControl,
+  resumeSyncJob,
+  startSyncJob,
+} from "../app/utils/syncJobs.server";
+
+vi.mock("../app/db.server", async () => ({
+  default: (await import("./support/fakeDb")).createFakeDb(["syncJob", "syncJobError"]),
+}));
+
+const shop = "test.myshopify.com";
+
+const jobStatus = async (id) => {
+  const { status, control } = await db.syncJob.findFirst({ where: { id } });
+  return { status, control };
+};
+
+beforeEach(() => {
+  db.reset();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("requestSyncJobControl", () => {
+  it("asks a running job to pause or cancel", async () => {
+    const { job } = await startSyncJob(shop);
+
+    expect(await requestSyncJobControl(shop, job.id, "pause")).toBe(true);
+    expect(await jobStatus(job.id)).toEqual({ status: "running", control: "pause" });
+  });
+
+  it("cancels a paused job at once, but does not pause it again", async () => {
+    const { job } = await startSyncJob(shop);
+    await finishSyncJob(job.id, { status: "paused", message: "Paused" });
+
+    expect(await requestSyncJobControl(shop, job.id, "pause")).toBe(false);
+    expect(await requestSyncJobControl(shop, job.id, "cancel")).toBe(true);
+    expect(await jobStatus(job.id)).toEqual({ status: "cancelled", control: null });
+  });
+
+  it("leaves finished jobs and other shops' jobs alone", async () => {
+    const { job } = await startSyncJob(shop);
+
+    expect(await requestSyncJobControl("other.myshopify.com", job.id, "cancel")).toBe(false);
+
+    await finishSyncJob(job.id, { status: "completed", message: "Done" });
+    expect(await requestSyncJobControl(shop, job.id, "cancel")).toBe(false);
+  });
+});
+
+describe("checkSyncJobControl", () => {
+  it("throws the requested stop, reading the job at most once a second", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const { job } = await startSyncJob(shop);
+    const findUnique = vi.spyOn(db.syncJob, "findUnique");
+
+    await checkSyncJobControl(job.id);
+    await requestSyncJobControl(shop, job.id, "cancel");
+    await checkSyncJobControl(job.id);
+    expect(findUnique).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(1001);
+    const stop = await checkSyncJobControl(job.id).catch((error) => error);
+
+    expect(findUnique).toHaveBeenCalledTimes(2);
+    expect(stop).toBeInstanceOf(SyncJobStopRequested);
+    expect(stop.control).toBe("cancel");
+
+    // Job ids start over with each test
+    await finishSyncJob(job.id, { status: "cancelled", message: "Cancelled" });
+  });
+
+  it("forgets what it read once the job finishes", async () => {
+    const { job } = await startSyncJob(shop);
+    await requestSyncJobControl(shop, job.id, "pause");
+    await expect(checkSyncJobControl(job.id)).rejects.toThrow("Paused");
+
+    await finishSyncJob(job.id, { status: "paused", message: "Paused" });
+    await resumeSyncJob(shop, job.id);
+
+    await expect(checkSyncJobControl(job.id)).resolves.toBeUndefined();
+  });
+});
+
+describe("resumeSyncJob", () => {
+  it("puts a paused job back to running with its cursor", async () => {
+    const { job } = await startSyncJob(shop);
+    await db.syncJob.update({ where: { id: job.id }, data: { cursor: "50", processedVariants: 50 } });
+    await finishSyncJob(job.id, { status: "paused", message: "Paused" });
+
+    const resumed = await resumeSyncJob(shop, job.id);
+
+    expect(resumed.alreadyRunning).toBe(false);
+    expect(resumed.job).toMatchObject({ id: job.id, status: "running", control: null, cursor: "50", processedVariants: 50 });
+  });
+
+  it("does not resume a cancelled job or one while another is running", async () => {
+    const { job: cancelled } = await startSyncJob(shop);
+    await finishSyncJob(cancelled.id, { status: "cancelled", message: "Cancelled" });
+    expect((await resumeSyncJob(shop, cancelled.id)).job).toBeNull();
+
+    const { job: paused } = await startSyncJob(shop);
+    await finishSyncJob(paused.id, { status: "paused", message: "Paused" });
+    const { job: running } = await startSyncJob(shop);
+
+    expect(await resumeSyncJob(shop, paused.id)).toEqual({ job: running, alreadyRunning: true });
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import {
+  describeJobScope,
+  describeSyncScope,
+  parseSyncScope,
+  scopeToQuery,
+} from "../app/utils/syncScope.server";
+
+describe("parseSyncScope", () => {
+  it("reads no scope as the whole catalog", () => {
+    expect(parseSyncScope(null)).toEqual({ scope: null });
+    expect(parseSyncScope(JSON.stringify({ type: "unknown" }))).toEqual({ scope: null });
+  });
+
+  it("reports scopes it cannot use", () => {
+    expect(parseSyncScope("{").error).toBe("The sync scope could not be read.");
+    expect(parseSyncScope(JSON.stringify({ type: "products", products: [] })).error)
+      .toBe("Select at least one product.");
+    expect(parseSyncScope(JSON.stringify({ type: "collection" })).error).toBe("Select a collection.");
+    expect(parseSyncScope(JSON.stringify({ type: "vendor", value: "  " })).error).toBe("Enter a vendor.");
+    expect(parseSyncScope(JSON.stringify({ type: "query", value: "" })).error).toBe("Enter a search query.");
+  });
+
+  it("limits how many products can be picked", () => {
+    const products = Array.from({ length: 101 }, (_, n) => ({ id: `gid://shopify/Product/${n + 1}` }));
+
+    expect(parseSyncScope(JSON.stringify({ type: "products", products })).error)
+      .toBe("Select at most 100 products, or use a search query.");
+  });
+
+  it("keeps only the fields a scope needs", () => {
+    const { scope } = parseSyncScope(JSON.stringify({
+      type: "products",
+      products: [{ id: "gid://shopify/Product/1", title: "Shirt", handle: "shirt" }, { title: "No id" }],
+    }));
+
+    expect(scope).toEqual({ type: "products", products: [{ id: "gid://shopify/Product/1", title: "Shirt" }] });
+    expect(parseSyncScope(JSON.stringify({ type: "tag", value: " sale " })).scope).toEqual({ type: "tag", value: "sale" });
+  });
+});
+
+describe("scopeToQuery", () => {
+  it("joins picked products by numeric id", () => {
+    const query = scopeToQuery({
+      type: "products",
+      products: [{ id: "gid://shopify/Product/1" }, { id: "gid://shopify/Product/22" }],
+    });
+
+    expect(query).toBe("product_id:1 OR product_id:22");
+  });
+
+  it("uses the numeric id of a collection", () => {
+    expect(scopeToQuery({ type: "collection", collection: { id: "gid://shopify/Collection/7" } }))
+      .toBe("collection:7");
+  });
+
+  it("quotes vendors and tags, escaping quotes and backslashes", () => {
+    expect(scopeToQuery({ type: "vendor", value: "Acme Co" })).toBe('vendor:"Acme Co"');
+    expect(scopeToQuery({ type: "tag", value: 'say "hi" \\ bye' })).toBe('tag:"say \\"hi\\" \\\\ bye"');
+  });
+
+  it("passes search queries on as they are", () => {
+    expect(scopeToQuery({ type: "query", value: "sku:ABC*" })).toBe("sku:ABC*");
+  });
+});
+
+describe("describeSyncScope", () => {
+  it("names up to three picked products", () => {
+    const products = ["A", "B", "C", "D", "E"].map((title, n) => ({ id: String(n), title }));
+
+    expect(describeSyncScope(null)).toBe("All variants");
+    expect(describeSyncScope({ type: "products", products: products.slice(0, 1) })).toBe("Product: A");
+    expect(describeSyncScope({ type: "products", products })).toBe("Products: A, B, C and 2 more");
+  });
+
+  it("only describes jobs that go over the catalog", () => {
+    const options = JSON.stringify({ scope: { type: "vendor", value: "Acme" } });
+
+    expect(describeJobScope({ mode: "full", options })).toBe("Vendor: Acme");
+    expect(describeJobScope({ mode: "retry", options })).toBeNull();
+  });
+});
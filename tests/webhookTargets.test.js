@@ -0,0 +1,72 @@
+import { createServer } from "node:http";
+import { fetch } from "undici";
+import { describe, expect, it } from "vitest";
+import { checkWebhookTarget, isPublicAddress, webhookAgent } from "../app/utils/webhookTargets.server";
+
+describe("isPublicAddress", () => {
+  it("refuses loopback, private, link-local and reserved addresses", () => {
+    [
+      "127.0.0.1",
+      "10.20.30.40",
+      "172.16.5.4",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "::1",
+      "::",
+      "fd12:3456::1",
+      "fe80::1",
+      "::ffff:10.0.0.1",
+    ].forEach((address) => expect(isPublicAddress(address), address).toBe(false));
+  });
+
+  it("accepts public addresses", () => {
+    ["8.8.8.8", "172.32.0.1", "2606:4700:4700::1111", "::ffff:1.1.1.1"].forEach((address) =>
+      expect(isPublicAddress(address), address).toBe(true)
+    );
+  });
+
+  it("refuses what is not an IP address", () => {
+    expect(isPublicAddress("example.com")).toBe(false);
+  });
+});
+
+describe("checkWebhookTarget", () => {
+  it("only accepts https URLs", async () => {
+    expect(await checkWebhookTarget("http://1.1.1.1/alerts")).toBe("Enter an https:// URL.");
+    expect(await checkWebhookTarget("not a url")).toBe("Enter an https:// URL.");
+  });
+
+  it("refuses hosts on the app's own network", async () => {
+    const refused = "Webhooks can only be sent to public internet addresses.";
+
+    expect(await checkWebhookTarget("https://localhost/alerts")).toBe(refused);
+    expect(await checkWebhookTarget("https://127.0.0.1:8443/alerts")).toBe(refused);
+    expect(await checkWebhookTarget("https://[::1]/alerts")).toBe(refused);
+    expect(await checkWebhookTarget("https://169.254.169.254/latest/meta-data")).toBe(refused);
+    // The URL parser reads this as 127.0.0.1
+    expect(await checkWebhookTarget("https://2130706433/alerts")).toBe(refused);
+  });
+
+  it("accepts public hosts", async () => {
+    expect(await checkWebhookTarget("https://1.1.1.1/alerts")).toBeNull();
+  });
+});
+
+describe("webhookAgent", () => {
+  it("does not connect to a name that resolves to the app's own network", async () => {
+    const server = createServer((request, response) => response.end("reached"));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://localhost:${server.address().port}/`;
+
+    try {
+      expect(await (await fetch(url)).text()).toBe("reached");
+      await expect(fetch(url, { dispatcher: webhookAgent })).rejects.toMatchObject({
+        cause: { message: "localhost does not resolve to a public internet address" },
+      });
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+// Tests run without the Remix plugin of vite.config.js; they import the
+// modules under app/ directly.
+export default defineConfig({
+  test: {
+    include: ["tests/**/*.test.js"],
+    environment: "node",
+  },
+});